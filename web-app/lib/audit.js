@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Structured audit log for authentication events
+// One JSON object per line, e.g.
+//   {"timestamp":"...","event":"token.rejected","correlationId":"...","reason":"expired","ip":"203.0.113.0"}
+//
+// Events: token.accepted / token.rejected, session_token.issued / .refused /
+// .rejected / .exchanged, session.created / .expired / .revoked / .logout,
+// csrf.rejected, introspection.performed / introspection.client_rejected
+//
+// PII fields are redacted before anything reaches a sink (see AUDIT_PII_RULES).
+// Never log raw session IDs or tokens - use fingerprint().
+
+const CORRELATION_HEADER = 'X-Correlation-ID';
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// field -> drop | hash | mask | keep
+const DEFAULT_PII_RULES = {
+  name: 'drop',
+  username: 'hash',
+  email: 'hash',
+  ip: 'mask',
+};
+
+// Short, stable identifier for a secret value (session ID, token) that cannot be reversed
+function fingerprint(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 16);
+}
+
+function maskValue(value) {
+  const text = String(value);
+  // IPv4: drop the last octet; IPv6: keep the first three groups
+  if (/^(\d{1,3}\.){3}\d{1,3}$/.test(text)) {
+    return text.replace(/\.\d{1,3}$/, '.0');
+  }
+  const mappedIpv4 = text.match(/^::ffff:((\d{1,3}\.){3}\d{1,3})$/i);
+  if (mappedIpv4) {
+    return maskValue(mappedIpv4[1]);
+  }
+  if (text.includes(':') && /^[0-9a-f:]+$/i.test(text)) {
+    return `${text.split(':').slice(0, 3).join(':')}::`;
+  }
+  // Email: first character and the domain
+  const at = text.indexOf('@');
+  if (at > 0) {
+    return `${text[0]}***${text.substring(at)}`;
+  }
+  return text.length > 2 ? `${text.substring(0, 2)}***` : '***';
+}
+
+// Parse "field:rule,field:rule" - unknown rules fall back to drop
+function parsePiiRules(value) {
+  const rules = { ...DEFAULT_PII_RULES };
+  for (const entry of (value || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [field, rule] = entry.split(':').map(s => s.trim());
+    rules[field] = ['drop', 'hash', 'mask', 'keep'].includes(rule) ? rule : 'drop';
+  }
+  return rules;
+}
+
+// Writes each event line to stdout
+class StdoutSink {
+  write(line) {
+    process.stdout.write(`${line}\n`);
+  }
+}
+
+// Appends each event line to a file (created with its directory if missing)
+class FileSink {
+  constructor(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath, { flags: 'a', mode: 0o600 });
+    this.stream.on('error', (error) => console.error('Audit log file error:', error.message));
+  }
+
+  write(line) {
+    this.stream.write(`${line}\n`);
+  }
+}
+
+// Sinks are any objects with write(line, entry) - add your own (e.g. a log shipper)
+class AuditLogger {
+  constructor({ sinks, piiRules = DEFAULT_PII_RULES, hashKey }) {
+    this.configure({ sinks, piiRules, hashKey });
+  }
+
+  // Replace the sinks, rules and key - the shared logger is configured once the config is loaded
+  configure({ sinks, piiRules = DEFAULT_PII_RULES, hashKey }) {
+    this.sinks = sinks;
+    this.piiRules = piiRules;
+    this.hashKey = hashKey;
+  }
+
+  redact(fields) {
+    const redacted = {};
+    for (const [field, value] of Object.entries(fields)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      const rule = this.piiRules[field] || 'keep';
+      if (rule === 'drop') {
+        continue;
+      }
+      if (rule === 'hash') {
+        // Keyed hash - events for the same user can be correlated without storing who it is
+        redacted[field] = `h:${crypto.createHmac('sha256', this.hashKey).update(String(value)).digest('hex').substring(0, 16)}`;
+      } else if (rule === 'mask') {
+        redacted[field] = maskValue(value);
+      } else {
+        redacted[field] = value;
+      }
+    }
+    return redacted;
+  }
+
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  // Record an event; req (optional) supplies the correlation ID, client IP, method and path
+  log(event, fields = {}, req) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      event,
+      correlationId: req ? req.correlationId : undefined,
+      method: req ? req.method : undefined,
+      path: req ? req.path : undefined,
+      ...this.redact({ ip: req ? req.ip : undefined, ...fields }),
+    };
+    const line = JSON.stringify(entry);
+    for (const sink of this.sinks) {
+      try {
+        sink.write(line, entry);
+      } catch (error) {
+        console.error('Audit sink failed:', error.message);
+      }
+    }
+  }
+}
+
+// Express middleware - takes a well-formed X-Correlation-ID from the caller
+// (e.g. the native app or a gateway) or generates one, and echoes it back
+function correlationId() {
+  return (req, res, next) => {
+    const incoming = req.get(CORRELATION_HEADER);
+    req.correlationId = incoming && CORRELATION_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set(CORRELATION_HEADER, req.correlationId);
+    next();
+  };
+}
+
+// Audit logger settings from the validated configuration (lib/config.js):
+//   AUDIT_LOG_SINKS  stdout, file, or both
+//   AUDIT_LOG_FILE   file sink path
+//   AUDIT_PII_RULES  field:drop|hash|mask|keep overrides, e.g. "username:mask,name:hash"
+//   AUDIT_HASH_KEY   key for hashed fields - set it so hashes stay stable across restarts
+function auditOptions(config) {
+  const sinks = config.AUDIT_LOG_SINKS.map(name => (name === 'file' ? new FileSink(config.AUDIT_LOG_FILE) : new StdoutSink()));
+
+  let hashKey = config.AUDIT_HASH_KEY;
+  if (!hashKey) {
+    console.warn('⚠️  AUDIT_HASH_KEY not set - hashed audit fields will change on every restart');
+    hashKey = crypto.randomBytes(32).toString('hex');
+  }
+
+  return { sinks, piiRules: parsePiiRules(config.AUDIT_PII_RULES), hashKey };
+}
+
+// Shared logger for the server and the lib modules - stdout with the default
+// rules until configureAudit() applies the configuration
+const audit = new AuditLogger({ sinks: [new StdoutSink()], hashKey: crypto.randomBytes(32).toString('hex') });
+
+function configureAudit(config) {
+  audit.configure(auditOptions(config));
+  return audit;
+}
+
+module.exports = {
+  CORRELATION_HEADER,
+  AuditLogger,
+  StdoutSink,
+  FileSink,
+  audit,
+  configureAudit,
+  correlationId,
+  fingerprint,
+};
@@ -0,0 +1,194 @@
+const axios = require('axios');
+
+// Declarative authorization for routes - use after authenticate/validateToken
+//
+//   app.get('/api/admin', authenticate, requireRoles('Admin'), handler)
+//
+// Each helper passes when the user has ANY of the listed values, and fails
+// with 403 plus an RFC 6750 `WWW-Authenticate: Bearer error="insufficient_scope"`
+// (requireClaims fails with a 401 claims challenge instead, see below)
+
+function sendInsufficientScope(res, description, scopes) {
+  const params = [
+    'error="insufficient_scope"',
+    `error_description="${description}"`,
+  ];
+  if (scopes) {
+    params.push(`scope="${scopes.join(' ')}"`);
+  }
+  res.set('WWW-Authenticate', `Bearer ${params.join(', ')}`);
+  res.status(403).json({ error: 'insufficient_scope', error_description: description });
+}
+
+// Require delegated scopes (`scp` claim)
+// Session-cookie requests are first-party (no client app acting for the user), so scopes don't apply
+function requireScopes(...scopes) {
+  return (req, res, next) => {
+    if (req.auth.method === 'session') {
+      return next();
+    }
+
+    const granted = (req.auth.claims.scp || '').split(' ');
+    if (scopes.some(scope => granted.includes(scope))) {
+      return next();
+    }
+    sendInsufficientScope(res, `Requires scope: ${scopes.join(' or ')}`, scopes);
+  };
+}
+
+// Require app roles (`roles` claim)
+function requireRoles(...roles) {
+  return (req, res, next) => {
+    const granted = req.user.roles || [];
+    if (roles.some(role => granted.includes(role))) {
+      return next();
+    }
+    sendInsufficientScope(res, `Requires app role: ${roles.join(' or ')}`);
+  };
+}
+
+// Require group membership (`groups` claim, by object ID)
+// When the user is in too many groups Entra omits the claim (groups overage);
+// resolveGroups(user, req) is then used to look the groups up - without one, or
+// when it resolves null (no lookup possible for this request), the check fails
+function requireGroups(groupIds, { resolveGroups } = {}) {
+  return async (req, res, next) => {
+    try {
+      let granted = req.user.groups || [];
+
+      if (req.user.groupsOverage) {
+        const resolved = resolveGroups ? await resolveGroups(req.user, req) : null;
+        if (!resolved) {
+          console.warn('Groups overage for user but no group resolver configured:', req.user.oid);
+          return sendInsufficientScope(res, 'Group membership could not be determined (groups overage)');
+        }
+        granted = resolved;
+      }
+
+      if (groupIds.some(id => granted.includes(id))) {
+        return next();
+      }
+      sendInsufficientScope(res, 'Requires membership of an authorized group');
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Claims challenge (Conditional Access step-up)
+// 401 with `WWW-Authenticate: Bearer ..., error="insufficient_claims", claims="<base64>"`
+// The client decodes `claims` and passes it to MSAL as the `claims` request parameter,
+// then retries with the new token. claimsRequest is the JSON claims request string.
+function sendClaimsChallenge(res, { description, claimsRequest, authorizationUri }) {
+  const claims = Buffer.from(claimsRequest).toString('base64');
+  const params = [
+    'realm=""',
+    ...(authorizationUri ? [`authorization_uri="${authorizationUri}"`] : []),
+    'error="insufficient_claims"',
+    `claims="${claims}"`,
+  ];
+  res.set('WWW-Authenticate', `Bearer ${params.join(', ')}`);
+  res.status(401).json({ error: 'insufficient_claims', error_description: description, claims });
+}
+
+// Require how the user authenticated - Conditional Access authentication context
+// (`acrs`, e.g. c1), authentication methods (`amr`, e.g. mfa) or `acr`
+//
+//   app.post('/api/transfer', authenticate, requireClaims({ acrs: ['c1'] }, { authorizationUri }), handler)
+//
+// Every listed claim must carry one of its values. Otherwise the request fails
+// with a claims challenge asking Entra for exactly those values.
+// Session-cookie requests are checked against the claims captured at sign-in.
+function requireClaims(requirements, { authorizationUri } = {}) {
+  const required = Object.entries(requirements).filter(([, values]) => values && values.length > 0);
+
+  const accessTokenClaims = {};
+  for (const [claim, values] of required) {
+    accessTokenClaims[claim] = values.length === 1
+      ? { essential: true, value: values[0] }
+      : { essential: true, values };
+  }
+  const claimsRequest = JSON.stringify({ access_token: accessTokenClaims });
+
+  return (req, res, next) => {
+    const source = req.auth.method === 'session' ? req.auth.session : req.auth.claims;
+
+    const missing = required.filter(([claim, values]) => {
+      const granted = [].concat(source[claim] || []).map(String);
+      return !values.some(value => granted.includes(value));
+    });
+    if (missing.length === 0) {
+      return next();
+    }
+
+    const description = missing
+      .map(([claim, values]) => `Requires ${claim}: ${values.join(' or ')}`)
+      .join('; ');
+    sendClaimsChallenge(res, { description, claimsRequest, authorizationUri });
+  };
+}
+
+// Group resolver for overage users - calls Microsoft Graph getMemberGroups with an
+// app-only token (client credentials; needs GroupMember.Read.All application permission)
+// graphBaseUrl and graphScope point it at another Graph (a national cloud or a local stub)
+function createGraphGroupResolver({
+  authorityHost = 'https://login.microsoftonline.com',
+  tokenEndpoint,
+  graphBaseUrl = 'https://graph.microsoft.com/v1.0',
+  graphScope = 'https://graph.microsoft.com/.default',
+  tenantId,
+  clientId,
+  clientSecret,
+  cacheTtlMs = 5 * 60 * 1000,
+}) {
+  const baseUrl = graphBaseUrl.replace(/\/$/, '');
+  const cache = new Map();
+  let appToken = null;
+
+  async function getAppToken() {
+    if (appToken && appToken.expiresAt > Date.now() + 60 * 1000) {
+      return appToken.value;
+    }
+    const response = await axios.post(
+      tokenEndpoint || `${authorityHost}/${tenantId}/oauth2/v2.0/token`,
+      new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: clientId,
+        client_secret: clientSecret,
+        scope: graphScope,
+      }),
+    );
+    appToken = {
+      value: response.data.access_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000,
+    };
+    return appToken.value;
+  }
+
+  return async function resolveGroups(user) {
+    const cached = cache.get(user.oid);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.groups;
+    }
+
+    const token = await getAppToken();
+    const response = await axios.post(
+      `${baseUrl}/users/${encodeURIComponent(user.oid)}/getMemberGroups`,
+      { securityEnabledOnly: false },
+      { headers: { Authorization: `Bearer ${token}` } },
+    );
+
+    const groups = response.data.value;
+    cache.set(user.oid, { groups, expiresAt: Date.now() + cacheTtlMs });
+    return groups;
+  };
+}
+
+module.exports = {
+  requireScopes,
+  requireRoles,
+  requireGroups,
+  requireClaims,
+  sendClaimsChallenge,
+  createGraphGroupResolver,
+};
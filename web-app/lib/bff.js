@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const { safeReturnPath } = require('./return-path');
+const { audit, fingerprint } = require('./audit');
+
+// Backend-for-frontend (BFF) mode
+// The server runs the confidential-client authorization code flow with PKCE,
+// keeps the tokens in the server-side session and refreshes them itself.
+// The browser only ever holds the session cookie.
+//
+//   GET /auth/login      -> redirects to the authorize endpoint
+//                           (?return_to=/path brings the user back to that page,
+//                            ?claims=<base64> passes on an API's claims challenge)
+//   GET /auth/callback   -> redeems the code, creates the session, redirects to the app
+
+const LOGIN_COOKIE = 'bff_login';
+const LOGIN_COOKIE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Refresh access tokens this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Claims request from a claims challenge (base64 JSON, as in WWW-Authenticate),
+// or null if the value is missing or not a JSON object
+function decodeClaimsChallenge(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return null;
+  }
+  try {
+    const claims = Buffer.from(value, 'base64').toString('utf8');
+    const parsed = JSON.parse(claims);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+class BffAuthClient {
+  constructor({
+    authorityHost,
+    tenantId,
+    clientId,
+    clientSecret,
+    redirectUri,
+    postLogoutRedirectUri,
+    scopes,
+    sessions,
+    verifyIdToken,
+    createSessionData,
+    cookieOptions = {},
+  }) {
+    this.tenantBase = `${authorityHost}/${tenantId}`;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = redirectUri;
+    this.postLogoutRedirectUri = postLogoutRedirectUri;
+    // openid for the ID token, offline_access for a refresh token
+    this.scopes = [...new Set(['openid', 'profile', 'offline_access', ...scopes])];
+    this.sessions = sessions;
+    this.verifyIdToken = verifyIdToken;
+    this.createSessionData = createSessionData;
+    this.cookieOptions = { httpOnly: true, sameSite: 'lax', ...cookieOptions, signed: true };
+    this.refreshes = new Map();
+  }
+
+  get tokenEndpoint() {
+    return `${this.tenantBase}/oauth2/v2.0/token`;
+  }
+
+  logoutUrl() {
+    const url = new URL(`${this.tenantBase}/oauth2/v2.0/logout`);
+    url.searchParams.set('post_logout_redirect_uri', this.postLogoutRedirectUri);
+    return url.toString();
+  }
+
+  async redeem(params) {
+    const response = await axios.post(this.tokenEndpoint, new URLSearchParams({
+      client_id: this.clientId,
+      client_secret: this.clientSecret,
+      scope: this.scopes.join(' '),
+      ...params,
+    }));
+    return response.data;
+  }
+
+  tokensFrom(tokenResponse, previous = {}) {
+    return {
+      accessToken: tokenResponse.access_token,
+      // Entra may not rotate the refresh token on every refresh
+      refreshToken: tokenResponse.refresh_token || previous.refreshToken,
+      scope: tokenResponse.scope,
+      expiresAt: Date.now() + tokenResponse.expires_in * 1000,
+    };
+  }
+
+  router() {
+    const router = express.Router();
+
+    router.get('/login', (req, res) => {
+      const state = crypto.randomBytes(16).toString('base64url');
+      const nonce = crypto.randomBytes(16).toString('base64url');
+      const codeVerifier = crypto.randomBytes(32).toString('base64url');
+      const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+      const returnTo = safeReturnPath(req.query.return_to) || '/';
+
+      res.cookie(LOGIN_COOKIE, JSON.stringify({ state, nonce, codeVerifier, returnTo }), {
+        ...this.cookieOptions,
+        maxAge: LOGIN_COOKIE_MAX_AGE_MS,
+      });
+
+      const url = new URL(`${this.tenantBase}/oauth2/v2.0/authorize`);
+      url.searchParams.set('client_id', this.clientId);
+      url.searchParams.set('response_type', 'code');
+      url.searchParams.set('redirect_uri', this.redirectUri);
+      url.searchParams.set('response_mode', 'query');
+      url.searchParams.set('scope', this.scopes.join(' '));
+      url.searchParams.set('state', state);
+      url.searchParams.set('nonce', nonce);
+      url.searchParams.set('code_challenge', codeChallenge);
+      url.searchParams.set('code_challenge_method', 'S256');
+      if (req.query.prompt) {
+        url.searchParams.set('prompt', req.query.prompt);
+      }
+      if (req.query.login_hint) {
+        url.searchParams.set('login_hint', req.query.login_hint);
+      }
+      // Step-up sign-in (e.g. MFA or an authentication context) for a claims challenge
+      const claims = decodeClaimsChallenge(req.query.claims);
+      if (claims) {
+        url.searchParams.set('claims', claims);
+      }
+
+      res.redirect(url.toString());
+    });
+
+    router.get('/callback', async (req, res) => {
+      const pending = req.signedCookies[LOGIN_COOKIE];
+      res.clearCookie(LOGIN_COOKIE, this.cookieOptions);
+
+      if (req.query.error) {
+        console.error('BFF sign-in error:', req.query.error, req.query.error_description);
+        return res.status(400).json({ error: req.query.error, error_description: req.query.error_description });
+      }
+
+      let login;
+      try {
+        login = JSON.parse(pending);
+      } catch {
+        return res.status(400).json({ error: 'Sign-in expired or was started in another browser' });
+      }
+      if (!req.query.state || req.query.state !== login.state) {
+        return res.status(400).json({ error: 'State mismatch' });
+      }
+
+      try {
+        const tokenResponse = await this.redeem({
+          grant_type: 'authorization_code',
+          code: req.query.code,
+          redirect_uri: this.redirectUri,
+          code_verifier: login.codeVerifier,
+        });
+
+        const claims = await this.verifyIdToken(tokenResponse.id_token);
+        if (claims.nonce !== login.nonce) {
+          audit.log('token.rejected', { reason: 'nonce_mismatch', tokenType: 'id_token' }, req);
+          return res.status(400).json({ error: 'Nonce mismatch' });
+        }
+
+        const session = await this.sessions.create(req, res, {
+          ...this.createSessionData(claims),
+          tokens: this.tokensFrom(tokenResponse),
+        });
+
+        audit.log('session.created', {
+          signInMethod: 'bff',
+          sessionId: fingerprint(session.id),
+          userId: session.userId,
+          username: session.username,
+          name: session.name,
+        }, req);
+        res.redirect(safeReturnPath(login.returnTo) || '/');
+      } catch (error) {
+        console.error('BFF code redemption failed:', error.response ? error.response.data : error.message);
+        res.locals.authFailure = true;
+        audit.log('token.rejected', { reason: 'sign_in_failed', tokenType: 'id_token' }, req);
+        res.status(401).json({ error: 'Sign-in failed' });
+      }
+    });
+
+    return router;
+  }
+
+  // Access token for the session's user, refreshed when close to expiry
+  // Concurrent callers for the same session share one refresh request
+  async getAccessToken(session) {
+    if (!session || !session.tokens) {
+      throw new Error('Session has no BFF tokens');
+    }
+    if (session.tokens.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+      return session.tokens.accessToken;
+    }
+
+    if (!this.refreshes.has(session.id)) {
+      const refresh = this.redeem({
+        grant_type: 'refresh_token',
+        refresh_token: session.tokens.refreshToken,
+      }).then(async (tokenResponse) => {
+        session.tokens = this.tokensFrom(tokenResponse, session.tokens);
+        await this.sessions.save(session);
+        return session.tokens.accessToken;
+      }).finally(() => {
+        this.refreshes.delete(session.id);
+      });
+      this.refreshes.set(session.id, refresh);
+    }
+    return this.refreshes.get(session.id);
+  }
+}
+
+module.exports = {
+  BffAuthClient,
+};
@@ -0,0 +1,13 @@
+// Invalid configuration - carries every problem found, so startup can list them all
+// (lib/config.js re-exports it)
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+module.exports = {
+  ConfigError,
+};
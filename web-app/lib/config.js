@@ -0,0 +1,344 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config-error');
+const { registrationProblems } = require('./registrations');
+const { originPolicyProblems } = require('./origin-policy');
+
+// Configuration loader - every setting the server reads, validated against a schema
+//
+// Sources, later ones winning:
+//   1. schema defaults
+//   2. config/default.json
+//   3. config/<NODE_ENV>.json            (e.g. config/production.json)
+//   4. CONFIG_FILE                       (an extra file, e.g. a mounted secret)
+//   5. environment variables / .env
+//
+// Files use the environment variable names as keys; lists may be JSON arrays:
+//   { "TENANT_ID": "...", "TOKEN_AUDIENCES": ["api://..."], "APP_REGISTRATIONS": [...] }
+// The lib modules take the typed config from server.js - none read process.env.
+//
+// loadConfig() checks everything and throws a ConfigError listing every problem -
+// unknown keys in files, missing required values, wrong types, APP_REGISTRATIONS
+// entries and the origin policy - before the server starts or touches any file.
+
+const mockIdp = env => env.MOCK_IDP === 'true';
+const production = env => env.NODE_ENV === 'production';
+const dataFile = name => path.join(__dirname, '..', 'data', name);
+
+// The redis stores use the optional `redis` package - refuse them when it is not installed
+function redisInstalled() {
+  try {
+    require.resolve('redis');
+    return true;
+  } catch {
+    return false;
+  }
+}
+const needsRedisPackage = value => (value === 'redis' && !redisInstalled()
+  ? 'is redis, which needs the redis package (npm install redis)'
+  : undefined);
+
+// type: string | int | bool | list | enum | url | json
+// required: true, or a function of the raw values (e.g. only outside mock mode)
+// default: value, or a function of the raw values
+// values: allowed values (enum, and each list item)
+// pattern / format: regular expression each list item must match, and how to describe it
+// validate: function of the typed value and raw values returning a problem, if any
+// secret: never echoed in error messages
+const SCHEMA = {
+  NODE_ENV: { type: 'string', default: 'development' },
+  PORT: { type: 'int', default: 3000, min: 1, max: 65535 },
+
+  // Primary app registration - also the fallback when no APP_REGISTRATIONS entry matches
+  TENANT_ID: { type: 'string', required: env => !mockIdp(env), default: env => (mockIdp(env) ? 'mock-tenant' : undefined) },
+  CLIENT_ID: { type: 'string', required: env => !mockIdp(env), default: env => (mockIdp(env) ? 'mock-client-id' : undefined) },
+  CLIENT_SECRET: { type: 'string', secret: true, required: env => env.AUTH_MODE === 'bff' && !mockIdp(env) },
+  AUTHORITY: { type: 'url' },
+  REDIRECT_URI: { type: 'url' },
+  API_SCOPES: { type: 'list' },
+  BACKEND_API_SCOPES: { type: 'list' },
+  // Further registrations/tenants chosen by host name or path - see lib/registrations.js
+  // (secret: entries may carry their clientSecret)
+  APP_REGISTRATIONS: { type: 'json', secret: true, default: [] },
+
+  AUTH_MODE: { type: 'enum', values: ['spa', 'bff'], default: 'spa' },
+  BFF_REDIRECT_URI: { type: 'url' },
+  MOCK_IDP: {
+    type: 'bool',
+    default: false,
+    validate: (value, env) => (value && env.NODE_ENV === 'production' ? 'must not be enabled in production' : undefined),
+  },
+  MOCK_IDP_USERS_FILE: { type: 'string' },
+  MOCK_IDP_TOKEN_LIFETIME_SECONDS: { type: 'int', default: 3600, min: 1 },
+
+  TOKEN_ISSUERS: { type: 'list' },
+  TOKEN_AUDIENCES: { type: 'list' },
+  ALLOWED_TENANT_IDS: { type: 'list' },
+  TOKEN_CLOCK_SKEW_SECONDS: { type: 'int', default: 300, min: 0 },
+
+  NATIVE_CLIENT_IDS: { type: 'list', default: env => (mockIdp(env) ? [env.CLIENT_ID || 'mock-client-id'] : []) },
+  SESSION_TOKEN_AUDIENCE: { type: 'string' },
+  SESSION_TOKEN_QUERY_ENABLED: { type: 'bool', default: true },
+  SESSION_TOKEN_ISSUER: { type: 'string', default: 'enterprise-auth-demo-web' },
+  SESSION_TOKEN_LIFETIME_SECONDS: { type: 'int', default: 60, min: 1 },
+  SIGNING_KEYS_FILE: { type: 'string' },
+  SIGNING_KEY_ROTATION_HOURS: { type: 'int', default: 24, min: 1 },
+  SIGNING_KEY_OVERLAP_HOURS: { type: 'int', default: 1, min: 0 },
+  INTROSPECTION_CLIENTS: { type: 'list', secret: true, default: [] },
+
+  CONSUMED_TOKEN_STORE: { type: 'enum', values: ['memory', 'redis'], default: 'memory', validate: needsRedisPackage },
+  SESSION_STORE: { type: 'enum', values: ['memory', 'file'], default: 'memory' },
+  SESSION_STORE_FILE: { type: 'string', default: dataFile('sessions.json') },
+  RATE_LIMIT_STORE: { type: 'enum', values: ['memory', 'redis'], default: 'memory', validate: needsRedisPackage },
+  REDIS_URL: {
+    type: 'url',
+    secret: true,
+    required: env => [env.CONSUMED_TOKEN_STORE, env.RATE_LIMIT_STORE].includes('redis'),
+  },
+
+  // Development falls back to random values (with a warning); production must set them
+  SESSION_SECRET: { type: 'string', secret: true, required: production },
+  SESSION_IDLE_TIMEOUT_MINUTES: { type: 'int', default: 30, min: 1 },
+  SESSION_ABSOLUTE_TIMEOUT_HOURS: { type: 'int', default: 24, min: 1 },
+
+  CSRF_TRUSTED_ORIGINS: { type: 'list', default: [] },
+  CORS_ALLOWED_ORIGINS: { type: 'list', default: [] },
+  API_ORIGINS: { type: 'list', default: [] },
+  COOKIE_DOMAIN: { type: 'string' },
+  COOKIE_SECURE: { type: 'bool' },
+  COOKIE_SAME_SITE: { type: 'enum', values: ['lax', 'none'] },
+  TRUST_PROXY: { type: 'string' },
+
+  REQUIRED_API_SCOPES: { type: 'list', default: ['access_as_user'] },
+  ADMIN_APP_ROLE: { type: 'string', default: 'Admin' },
+  ADMIN_GROUP_IDS: { type: 'list', default: [] },
+  ADMIN_REQUIRED_ACRS: { type: 'list', default: [] },
+  ADMIN_REQUIRED_AMR: { type: 'list', default: [] },
+
+  GRAPH_SCOPES: { type: 'list', default: ['https://graph.microsoft.com/User.Read'] },
+  // Graph resource for app-only (client credentials) calls - <resource>/.default
+  GRAPH_RESOURCE: { type: 'url', default: 'https://graph.microsoft.com' },
+  OBO_TOKEN_ENDPOINT: { type: 'url' },
+  GRAPH_BASE_URL: { type: 'url' },
+
+  AUDIT_LOG_SINKS: { type: 'list', values: ['stdout', 'file'], default: ['stdout'] },
+  AUDIT_LOG_FILE: { type: 'string', default: dataFile('audit.log') },
+  AUDIT_PII_RULES: { type: 'string' },
+  AUDIT_HASH_KEY: { type: 'string', secret: true, required: production },
+  METRICS_TOKEN: { type: 'string', secret: true },
+
+  RATE_LIMITS: {
+    type: 'list',
+    default: [],
+    pattern: /^[\w-]+\.(ip|user)=(\d+\/\d+|off)$/,
+    format: 'group.ip|user=max/windowSeconds or group.ip|user=off',
+  },
+  RATE_LIMIT_LOCKOUT_FAILURES: { type: 'int', default: 10, min: 1 },
+  RATE_LIMIT_LOCKOUT_WINDOW_MINUTES: { type: 'int', default: 15, min: 1 },
+  RATE_LIMIT_LOCKOUT_SECONDS: { type: 'int', default: 60, min: 1 },
+  RATE_LIMIT_LOCKOUT_MAX_MINUTES: { type: 'int', default: 60, min: 1 },
+
+  CONFIG_FILE: { type: 'string' },
+};
+
+// File values as environment strings - lists joined with commas, JSON kept as JSON
+function toEnvString(key, value) {
+  const spec = SCHEMA[key];
+  if (spec.type === 'json') {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return value.join(',');
+  }
+  return String(value);
+}
+
+function readConfigFile(filePath, problems, { optional }) {
+  let contents;
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (optional && error.code === 'ENOENT') {
+      return {};
+    }
+    problems.push(`${filePath}: ${error.message}`);
+    return {};
+  }
+
+  let values;
+  try {
+    values = JSON.parse(contents);
+  } catch (error) {
+    problems.push(`${filePath}: not valid JSON (${error.message})`);
+    return {};
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    problems.push(`${filePath}: must contain a JSON object`);
+    return {};
+  }
+
+  const known = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (!SCHEMA[key]) {
+      problems.push(`${filePath}: unknown setting ${key}`);
+    } else if (value !== null && value !== undefined) {
+      known[key] = toEnvString(key, value);
+    }
+  }
+  return known;
+}
+
+// Typed value for one setting, recording a problem when the raw string does not fit
+function parseValue(key, raw, spec, problems) {
+  const shown = spec.secret ? '(secret value)' : `"${raw}"`;
+  switch (spec.type) {
+    case 'int': {
+      if (!/^-?\d+$/.test(raw.trim())) {
+        problems.push(`${key}: ${shown} is not a whole number`);
+        return undefined;
+      }
+      const value = parseInt(raw, 10);
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        problems.push(`${key}: ${value} is out of range (${spec.min ?? ''}..${spec.max ?? ''})`);
+        return undefined;
+      }
+      return value;
+    }
+    case 'bool':
+      if (raw !== 'true' && raw !== 'false') {
+        problems.push(`${key}: ${shown} must be true or false`);
+        return undefined;
+      }
+      return raw === 'true';
+    case 'list': {
+      const items = raw.split(',').map(s => s.trim()).filter(Boolean);
+      const invalid = items.filter(item =>
+        (spec.values && !spec.values.includes(item)) || (spec.pattern && !spec.pattern.test(item)));
+      if (invalid.length > 0) {
+        const expected = spec.values ? `one of ${spec.values.join(', ')}` : spec.format;
+        problems.push(`${key}: ${invalid.map(item => `"${item}"`).join(', ')} - each entry must be ${expected}`);
+        return undefined;
+      }
+      return items;
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        problems.push(`${key}: ${shown} must be one of ${spec.values.join(', ')}`);
+        return undefined;
+      }
+      return raw;
+    case 'url':
+      try {
+        new URL(raw);
+      } catch {
+        problems.push(`${key}: ${shown} is not a valid URL`);
+        return undefined;
+      }
+      return raw;
+    case 'json':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        problems.push(`${key}: not valid JSON (${error.message})`);
+        return undefined;
+      }
+    default:
+      return raw;
+  }
+}
+
+// Identity provider host - the built-in mock IdP's endpoints in mock mode
+function authorityHostFor(config) {
+  return config.MOCK_IDP ? `http://localhost:${config.PORT}/mock-idp` : 'https://login.microsoftonline.com';
+}
+
+// The app's public URL - origin for CORS/CSRF/cookies and base for redirects
+function appBaseUrlFor(config) {
+  return config.REDIRECT_URI || `http://localhost:${config.PORT}`;
+}
+
+// Problems with APP_REGISTRATIONS and the origin policy (the same checks
+// createAppRegistrations() and createOriginPolicy() make), on the typed values
+function derivedProblems(config) {
+  const entries = config.APP_REGISTRATIONS;
+  if (entries === undefined) {
+    return [];
+  }
+  const problems = registrationProblems(entries);
+
+  const authorityHost = authorityHostFor(config);
+  const entryAuthorities = problems.length === 0 ? entries.map(entry => entry.authority).filter(Boolean) : [];
+  problems.push(...originPolicyProblems({
+    appUrl: appBaseUrlFor(config),
+    authorityUrls: [authorityHost, ...(config.AUTHORITY ? [config.AUTHORITY] : []), ...entryAuthorities],
+    apiOrigins: config.API_ORIGINS,
+    corsOrigins: config.CORS_ALLOWED_ORIGINS,
+    csrfTrustedOrigins: config.CSRF_TRUSTED_ORIGINS,
+    cookie: {
+      domain: config.COOKIE_DOMAIN,
+      secure: config.COOKIE_SECURE,
+      sameSite: config.COOKIE_SAME_SITE,
+    },
+    production: config.NODE_ENV === 'production',
+  }));
+  return problems;
+}
+
+// Load, merge and validate the configuration
+// Returns a frozen object keyed by setting name with typed values
+function loadConfig({ env = process.env, configDir = path.join(__dirname, '..', 'config') } = {}) {
+  const problems = [];
+  const nodeEnv = env.NODE_ENV || SCHEMA.NODE_ENV.default;
+
+  const fileValues = {
+    ...readConfigFile(path.join(configDir, 'default.json'), problems, { optional: true }),
+    ...readConfigFile(path.join(configDir, `${nodeEnv}.json`), problems, { optional: true }),
+    ...(env.CONFIG_FILE ? readConfigFile(path.resolve(env.CONFIG_FILE), problems, { optional: false }) : {}),
+  };
+
+  // The environment wins; file values fill the gaps
+  const values = { ...fileValues };
+  for (const key of Object.keys(SCHEMA)) {
+    if (env[key] !== undefined && env[key] !== '') {
+      values[key] = env[key];
+    }
+  }
+
+  const config = {};
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const raw = values[key];
+    if (raw === undefined || raw === '') {
+      const required = typeof spec.required === 'function' ? spec.required(values) : spec.required;
+      if (required) {
+        problems.push(`${key} is required`);
+      }
+      config[key] = typeof spec.default === 'function' ? spec.default(values) : spec.default;
+      continue;
+    }
+    config[key] = parseValue(key, raw, spec, problems);
+  }
+
+  // Rules spanning settings, on the typed values
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const problem = spec.validate && config[key] !== undefined ? spec.validate(config[key], values) : undefined;
+    if (problem) {
+      problems.push(`${key} ${problem}`);
+    }
+  }
+
+  // The registrations and origin policy server.js builds from these values
+  problems.push(...derivedProblems(config));
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return Object.freeze(config);
+}
+
+module.exports = {
+  ConfigError,
+  SCHEMA,
+  appBaseUrlFor,
+  authorityHostFor,
+  loadConfig,
+};
@@ -0,0 +1,126 @@
+const { TokenSealer } = require('./token-sealing');
+
+// Session token handoff store - enforces single use of session tokens by jti and
+// holds the native app's access token (the OBO assertion) until the exchange,
+// which may happen on another instance
+//
+// Store interface:
+//   markConsumed(jti, expiresAt) -> Promise<boolean>
+//     Atomically records the jti. Resolves true on first use, false if the
+//     jti was already consumed. expiresAt (ms since epoch) is when the token
+//     itself expires - the record only needs to outlive the token.
+//   saveAssertion(jti, assertion, expiresAt) -> Promise
+//     Keeps { token, expiresAt } for the session token jti until expiresAt
+//     (the session token's expiry).
+//   takeAssertion(jti) -> Promise<assertion | null>
+//     Returns and removes the assertion - it can only be taken once.
+
+// In-memory store (default) - single instance only, cleared on restart
+class MemoryConsumedTokenStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.consumed = new Map();
+    this.assertions = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  async markConsumed(jti, expiresAt) {
+    const existing = this.consumed.get(jti);
+    if (existing && existing > Date.now()) {
+      return false;
+    }
+    this.consumed.set(jti, expiresAt);
+    return true;
+  }
+
+  async saveAssertion(jti, assertion, expiresAt) {
+    this.assertions.set(jti, { assertion, expiresAt });
+  }
+
+  async takeAssertion(jti) {
+    const entry = this.assertions.get(jti);
+    this.assertions.delete(jti);
+    return entry && entry.expiresAt > Date.now() ? entry.assertion : null;
+  }
+
+  // Evict records for tokens that have expired anyway
+  sweep() {
+    const now = Date.now();
+    for (const [jti, expiresAt] of this.consumed) {
+      if (expiresAt <= now) {
+        this.consumed.delete(jti);
+      }
+    }
+    for (const [jti, entry] of this.assertions) {
+      if (entry.expiresAt <= now) {
+        this.assertions.delete(jti);
+      }
+    }
+  }
+}
+
+// External cache adapter - for multi-instance deployments
+// Works with any client exposing the node-redis v4 `set(key, value, { NX, PX })`
+// (returns 'OK' when the key was written, null when it already existed) and
+// `getDel(key)` APIs (GETDEL, Redis 6.2+)
+// Assertions are encrypted with sealer (see token-sealing.js) before they leave the process
+class RedisConsumedTokenStore {
+  constructor(client, { sealer, keyPrefix = 'session-token:consumed:', assertionKeyPrefix = 'session-token:assertion:' }) {
+    this.client = client;
+    this.sealer = sealer;
+    this.keyPrefix = keyPrefix;
+    this.assertionKeyPrefix = assertionKeyPrefix;
+  }
+
+  async markConsumed(jti, expiresAt) {
+    const ttlMs = Math.max(expiresAt - Date.now(), 1000);
+    const result = await this.client.set(this.keyPrefix + jti, '1', { NX: true, PX: ttlMs });
+    return result === 'OK';
+  }
+
+  async saveAssertion(jti, assertion, expiresAt) {
+    const ttlMs = Math.max(expiresAt - Date.now(), 1000);
+    await this.client.set(this.assertionKeyPrefix + jti, this.sealer.seal(assertion), { PX: ttlMs });
+  }
+
+  async takeAssertion(jti) {
+    const sealed = await this.client.getDel(this.assertionKeyPrefix + jti);
+    if (!sealed) {
+      return null;
+    }
+    try {
+      return this.sealer.open(sealed);
+    } catch (error) {
+      console.error('Handoff assertion could not be decrypted (SESSION_SECRET differs between instances?):', error.message);
+      return null;
+    }
+  }
+}
+
+// Build the store selected by CONSUMED_TOKEN_STORE (memory | redis) in the validated config
+// secret: key material for encrypting assertions held outside the process (SESSION_SECRET)
+function createConsumedTokenStore(config, { secret }) {
+  const type = config.CONSUMED_TOKEN_STORE;
+
+  if (type === 'memory') {
+    return new MemoryConsumedTokenStore();
+  }
+
+  if (type === 'redis') {
+    // Optional dependency - install with `npm install redis` when using this store
+    // (the config schema requires REDIS_URL and the installed package with it)
+    const { createClient } = require('redis');
+    const client = createClient({ url: config.REDIS_URL });
+    client.on('error', (err) => console.error('Consumed token store (redis) error:', err.message));
+    client.connect().catch((err) => console.error('Consumed token store (redis) connect failed:', err.message));
+    return new RedisConsumedTokenStore(client, { sealer: new TokenSealer(secret, 'handoff-assertion') });
+  }
+
+  throw new Error(`Unknown CONSUMED_TOKEN_STORE: ${type}`);
+}
+
+module.exports = {
+  MemoryConsumedTokenStore,
+  RedisConsumedTokenStore,
+  createConsumedTokenStore,
+};
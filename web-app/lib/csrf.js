@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { audit } = require('./audit');
+
+// CSRF protection for cookie-authenticated requests
+//
+// - Origin/Referer check: state-changing requests from a browser must come
+//   from this app's own origin or a trusted origin
+// - Synchronizer token: requests carrying a server session must send the
+//   session's CSRF token in the X-CSRF-Token header
+//
+// Requests authenticated with a bearer token are exempt - browsers never
+// attach Authorization headers automatically, so they cannot be forged cross-site
+
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function generateCsrfToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') {
+    return false;
+  }
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Origin of the request as reported by the browser, or null if neither header is present
+function requestSourceOrigin(req) {
+  if (req.headers.origin) {
+    return req.headers.origin;
+  }
+  if (req.headers.referer) {
+    try {
+      return new URL(req.headers.referer).origin;
+    } catch {
+      return 'invalid';
+    }
+  }
+  return null;
+}
+
+function isTrustedOrigin(origin, req, trustedOrigins) {
+  if (trustedOrigins.includes(origin)) {
+    return true;
+  }
+  // Same origin as the host serving this request
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch {
+    return false;
+  }
+}
+
+// tokenExemptPaths skip only the token check (e.g. login endpoints, which
+// replace any existing session) - the origin check still applies
+// nullOriginPaths also accept the opaque "null" Origin (e.g. a form posted by a
+// native app's WebView); real cross-site origins are still rejected
+// exemptPaths skip both checks - only for endpoints protected by their own credential
+function csrfProtection({ trustedOrigins = [], tokenExemptPaths = [], nullOriginPaths = [], exemptPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (SAFE_METHODS.includes(req.method) || exemptPaths.includes(req.path)) {
+      return next();
+    }
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+
+    const origin = requestSourceOrigin(req);
+    const opaqueAllowed = origin === 'null' && nullOriginPaths.includes(req.path);
+    if (origin && !opaqueAllowed && !isTrustedOrigin(origin, req, trustedOrigins)) {
+      audit.log('csrf.rejected', { reason: 'csrf_origin_mismatch', origin }, req);
+      return res.status(403).json({ error: 'CSRF validation failed', code: 'csrf_origin_mismatch' });
+    }
+
+    if (req.session && !tokenExemptPaths.includes(req.path)) {
+      const token = req.headers[CSRF_HEADER];
+      if (!token) {
+        return res.status(403).json({ error: 'CSRF token missing', code: 'csrf_token_missing' });
+      }
+      if (!tokensMatch(req.session.csrfToken, token)) {
+        audit.log('csrf.rejected', { reason: 'csrf_token_invalid' }, req);
+        return res.status(403).json({ error: 'CSRF token invalid', code: 'csrf_token_invalid' });
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  CSRF_HEADER,
+  generateCsrfToken,
+  csrfProtection,
+};
@@ -0,0 +1,99 @@
+const axios = require('axios');
+
+// Server-side access to Microsoft Graph on behalf of the signed-in user
+// Token endpoint and Graph base URL are configurable so local stubs can stand in
+
+const OBO_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:jwt-bearer';
+
+// Reuse cached tokens until this long before they expire
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Failure to obtain a Graph token for the caller - status and code are sent to the client
+class GraphTokenError extends Error {
+  constructor(message, { status, code, upstream } = {}) {
+    super(message);
+    this.name = 'GraphTokenError';
+    this.status = status;
+    this.code = code;
+    this.upstream = upstream;
+  }
+}
+
+// On-behalf-of flow: exchanges a token issued to this API (the assertion)
+// for a downstream token, cached per user and scope set
+class OboTokenClient {
+  constructor({ tokenEndpoint, clientId, clientSecret, sweepIntervalMs = 10 * 60 * 1000 }) {
+    this.tokenEndpoint = tokenEndpoint;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.cache = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  async getToken({ assertion, scopes, userKey }) {
+    const cacheKey = `${userKey}|${[...scopes].sort().join(' ')}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && cached.expiresAt - Date.now() > EXPIRY_MARGIN_MS) {
+      return cached.accessToken;
+    }
+
+    let response;
+    try {
+      response = await axios.post(this.tokenEndpoint, new URLSearchParams({
+        grant_type: OBO_GRANT_TYPE,
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        assertion,
+        scope: scopes.join(' '),
+        requested_token_use: 'on_behalf_of',
+      }));
+    } catch (error) {
+      if (!error.response) {
+        throw error;
+      }
+      // e.g. invalid_grant (expired assertion) or interaction_required (consent, Conditional Access)
+      throw new GraphTokenError('On-behalf-of token exchange failed', {
+        status: 401,
+        code: 'obo_failed',
+        upstream: error.response.data,
+      });
+    }
+
+    this.cache.set(cacheKey, {
+      accessToken: response.data.access_token,
+      expiresAt: Date.now() + response.data.expires_in * 1000,
+    });
+    return response.data.access_token;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= now) {
+        this.cache.delete(key);
+      }
+    }
+  }
+}
+
+class GraphClient {
+  constructor({ baseUrl = 'https://graph.microsoft.com/v1.0' } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  async get(path, accessToken, { responseType = 'json' } = {}) {
+    const response = await axios.get(`${this.baseUrl}${path}`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      responseType,
+    });
+    return response;
+  }
+}
+
+module.exports = {
+  OBO_GRANT_TYPE,
+  GraphTokenError,
+  OboTokenClient,
+  GraphClient,
+};
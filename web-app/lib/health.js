@@ -0,0 +1,67 @@
+// Liveness and readiness for load balancers and orchestrators
+//
+//   GET /health/live   - the process is up and serving requests (no dependencies checked)
+//   GET /health/ready  - every dependency check passed; 503 otherwise, e.g.
+//     { status: 'not_ready', checks: { jwks: { status: 'fail', error: '...', durationMs: 5000 } } }
+//
+// Each check is a function that resolves when the dependency is usable. Checks
+// that call other services can cache their result (cacheMs) so frequent probes
+// do not turn into a request per probe.
+
+const DEFAULT_CHECK_TIMEOUT_MS = 5000;
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class ReadinessChecks {
+  // checks: [{ name, check: () => Promise, cacheMs }]
+  constructor({ checks, timeoutMs = DEFAULT_CHECK_TIMEOUT_MS }) {
+    this.checks = checks;
+    this.timeoutMs = timeoutMs;
+    this.cached = new Map();
+  }
+
+  async runCheck({ name, check, cacheMs = 0 }) {
+    const cached = this.cached.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    const start = Date.now();
+    let result;
+    try {
+      await withTimeout(Promise.resolve().then(check), this.timeoutMs);
+      result = { status: 'ok', durationMs: Date.now() - start };
+    } catch (error) {
+      result = { status: 'fail', error: error.message, durationMs: Date.now() - start };
+    }
+
+    if (cacheMs > 0) {
+      this.cached.set(name, { result, expiresAt: Date.now() + cacheMs });
+    }
+    return result;
+  }
+
+  // Checks run in parallel; ready only when all pass
+  async run() {
+    const results = await Promise.all(this.checks.map(check => this.runCheck(check)));
+    const checks = {};
+    this.checks.forEach(({ name }, index) => {
+      checks[name] = results[index];
+    });
+    return {
+      ready: results.every(result => result.status === 'ok'),
+      checks,
+    };
+  }
+}
+
+module.exports = {
+  ReadinessChecks,
+};
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { audit } = require('./audit');
+
+// RFC 7662 token introspection for Entra access tokens and this server's
+// session tokens, using the same keys and rules the API applies itself
+//
+//   POST /api/token/introspect  token=<jwt>&token_type_hint=access_token|session_token
+//
+// Every check is run rather than stopping at the first failure, so an inactive
+// response lists all of them:
+//   { active: false, token_type: 'access_token', reason: 'expired', failed_checks: ['expiry', 'audience'] }
+//
+// Session tokens are single use, but introspection does not consume them and
+// cannot tell whether one was already exchanged.
+
+const ACCESS_TOKEN = 'access_token';
+const SESSION_TOKEN = 'session_token';
+
+// Inactive reason for each check, in the order the checks run
+const CHECK_REASONS = {
+  format: 'malformed',
+  signature: 'invalid_signature',
+  token_type: 'invalid_token_type',
+  issuer: 'invalid_issuer',
+  audience: 'invalid_audience',
+  expiry: 'expired',
+  not_before: 'not_yet_valid',
+  tenant: 'tenant_not_allowed',
+  client: 'client_not_allowed',
+};
+
+function inactive(failedChecks, tokenType) {
+  return {
+    active: false,
+    token_type: tokenType,
+    reason: CHECK_REASONS[failedChecks[0]],
+    failed_checks: failedChecks,
+  };
+}
+
+class TokenIntrospector {
+  // entra:   { getSigningKey(header) -> Promise<key>, issuers, audiences, allowedTenants, clockToleranceSeconds },
+  //          or a function of the introspect() options returning them (e.g. per app registration)
+  // session: { getSigningKey(kid) -> key | null, issuers, audiences, type, allowedClients, clockToleranceSeconds }
+  constructor({ entra, session }) {
+    this.entra = entra;
+    this.session = session;
+  }
+
+  // The hint only breaks ties - the token's own claims decide its type
+  tokenTypeOf(payload, hint) {
+    if (payload.type === this.session.type || this.session.issuers.includes(payload.iss)) {
+      return SESSION_TOKEN;
+    }
+    return hint === SESSION_TOKEN && !payload.tid ? SESSION_TOKEN : ACCESS_TOKEN;
+  }
+
+  rulesFor(tokenType, options) {
+    if (tokenType === SESSION_TOKEN) {
+      return this.session;
+    }
+    return typeof this.entra === 'function' ? this.entra(options) : this.entra;
+  }
+
+  async signingKeyFor(tokenType, rules, header) {
+    if (tokenType === SESSION_TOKEN) {
+      return rules.getSigningKey(header.kid);
+    }
+    try {
+      return await rules.getSigningKey(header);
+    } catch {
+      return null;
+    }
+  }
+
+  async introspect(token, options = {}) {
+    const { hint } = options;
+    const decoded = typeof token === 'string' ? jwt.decode(token, { complete: true }) : null;
+    if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+      return inactive(['format']);
+    }
+
+    const { header, payload } = decoded;
+    const tokenType = this.tokenTypeOf(payload, hint);
+    const rules = this.rulesFor(tokenType, options);
+    const failed = [];
+
+    // Signature only - the claim checks below are done one by one
+    const key = await this.signingKeyFor(tokenType, rules, header);
+    try {
+      if (!key) {
+        throw new Error('unknown signing key');
+      }
+      jwt.verify(token, key, { algorithms: ['RS256'], ignoreExpiration: true, ignoreNotBefore: true });
+    } catch {
+      failed.push('signature');
+    }
+
+    if (tokenType === SESSION_TOKEN && payload.type !== this.session.type) {
+      failed.push('token_type');
+    }
+    if (!rules.issuers.includes(payload.iss)) {
+      failed.push('issuer');
+    }
+    const audiences = [].concat(payload.aud || []);
+    if (!audiences.some(aud => rules.audiences.includes(aud))) {
+      failed.push('audience');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const tolerance = rules.clockToleranceSeconds || 0;
+    if (typeof payload.exp !== 'number' || payload.exp + tolerance <= now) {
+      failed.push('expiry');
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - tolerance > now) {
+      failed.push('not_before');
+    }
+
+    const clientId = payload.azp || payload.appid;
+    if (tokenType === ACCESS_TOKEN && !rules.allowedTenants.includes(payload.tid)) {
+      failed.push('tenant');
+    }
+    if (tokenType === SESSION_TOKEN && !this.session.allowedClients.includes(clientId)) {
+      failed.push('client');
+    }
+
+    if (failed.length > 0) {
+      return inactive(failed, tokenType);
+    }
+
+    return {
+      active: true,
+      token_type: tokenType,
+      // Delegated scopes, or app roles for app-only tokens
+      scope: payload.scp || (Array.isArray(payload.roles) && !payload.oid ? payload.roles.join(' ') : undefined),
+      client_id: clientId,
+      username: payload.preferred_username || payload.upn,
+      sub: payload.sub,
+      aud: payload.aud,
+      iss: payload.iss,
+      exp: payload.exp,
+      iat: payload.iat,
+      nbf: payload.nbf,
+      jti: payload.jti || payload.uti,
+      tid: payload.tid,
+      oid: payload.oid,
+    };
+  }
+}
+
+function secretsMatch(expected, actual) {
+  const a = crypto.createHash('sha256').update(String(expected)).digest();
+  const b = crypto.createHash('sha256').update(String(actual)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Client credentials from HTTP Basic (client_secret_basic) or the form body (client_secret_post)
+function clientCredentials(req) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.substring(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      return null;
+    }
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.substring(0, separator)),
+        clientSecret: decodeURIComponent(decoded.substring(separator + 1)),
+      };
+    } catch {
+      return null;
+    }
+  }
+  if (req.body && req.body.client_id && req.body.client_secret) {
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+  }
+  return null;
+}
+
+// Client authentication for the introspection endpoint
+// - services: client ID and secret from `clients` (Map of client ID -> secret)
+// - native apps (public clients, no secret): a bearer access token for this API
+//   whose azp/appid is in bearerClientIds
+// Sets req.introspectionClient, or fails with 401 invalid_client
+function introspectionClientAuth({ clients, bearerClientIds, verifyAccessToken }) {
+  const reject = (req, res, reason, fields = {}) => {
+    // Wrong credentials count towards the rate limiter's failure lockout
+    res.locals.authFailure = reason !== 'missing_credentials';
+    audit.log('introspection.client_rejected', { reason, ...fields }, req);
+    res.set('WWW-Authenticate', 'Basic realm="introspection"');
+    res.status(401).json({ error: 'invalid_client', error_description: 'Client authentication failed' });
+  };
+
+  return async (req, res, next) => {
+    const authHeader = req.headers.authorization || '';
+
+    if (authHeader.startsWith('Bearer ')) {
+      try {
+        const claims = await verifyAccessToken(authHeader.substring(7), req);
+        const clientId = claims.azp || claims.appid;
+        if (!bearerClientIds.includes(clientId)) {
+          return reject(req, res, 'client_not_allowed', { clientId });
+        }
+        req.introspectionClient = clientId;
+        return next();
+      } catch (error) {
+        return reject(req, res, 'invalid_token', { detail: error.message });
+      }
+    }
+
+    const credentials = clientCredentials(req);
+    if (!credentials || !clients.has(credentials.clientId)
+      || !secretsMatch(clients.get(credentials.clientId), credentials.clientSecret)) {
+      return reject(req, res, credentials ? 'invalid_credentials' : 'missing_credentials',
+        { clientId: credentials && credentials.clientId });
+    }
+    req.introspectionClient = credentials.clientId;
+    next();
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN,
+  SESSION_TOKEN,
+  TokenIntrospector,
+  introspectionClientAuth,
+};
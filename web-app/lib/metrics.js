@@ -0,0 +1,279 @@
+// Prometheus metrics (text exposition format 0.0.4), served at GET /metrics
+//
+//   http_request_duration_seconds{method,route,status_code}   histogram
+//   auth_attempts_total{credential,result,reason}              counter
+//   session_exchanges_total{result,reason}                     counter
+//   sessions_created_total{method} / sessions_ended_total{reason}
+//   active_sessions                                            gauge
+//   jwks_cache_requests_total{result="hit|miss"}               counter
+//   rate_limit_events_total{route,event}                       counter
+//
+// Auth, session and rate limit counters are fed by the audit log (see
+// auditMetricsSink), so every audited outcome is counted the same way.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labelsFor(labels) {
+    const result = {};
+    for (const name of this.labelNames) {
+      result[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name];
+    }
+    return result;
+  }
+
+  seriesFor(labels, create) {
+    const normalized = this.labelsFor(labels);
+    const key = JSON.stringify(Object.values(normalized));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+class Counter extends Metric {
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  async render() {
+    const lines = this.header('counter');
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+// Gauges are either set directly or read from collect() at scrape time
+class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super(options);
+    this.collect = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  async render() {
+    if (this.collect) {
+      this.set({}, await this.collect());
+    }
+    const lines = this.header('gauge');
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  async render() {
+    const lines = this.header('histogram');
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  // A gauge whose collect() fails is left out of the scrape rather than failing it
+  async render() {
+    const lines = [];
+    for (const metric of this.metrics) {
+      try {
+        lines.push(...await metric.render());
+      } catch (error) {
+        console.error(`Metric ${metric.name} failed to collect:`, error.message);
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const registry = new MetricsRegistry();
+
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route',
+  labelNames: ['method', 'route', 'status_code'],
+});
+
+const authAttempts = registry.counter({
+  name: 'auth_attempts_total',
+  help: 'Authentication attempts by credential type, result and failure reason',
+  labelNames: ['credential', 'result', 'reason'],
+});
+
+const sessionExchanges = registry.counter({
+  name: 'session_exchanges_total',
+  help: 'Session token exchanges (native app handoff) by result',
+  labelNames: ['result', 'reason'],
+});
+
+const sessionsCreated = registry.counter({
+  name: 'sessions_created_total',
+  help: 'Server sessions created by sign-in method',
+  labelNames: ['method'],
+});
+
+const sessionsEnded = registry.counter({
+  name: 'sessions_ended_total',
+  help: 'Server sessions ended by reason',
+  labelNames: ['reason'],
+});
+
+const jwksCacheRequests = registry.counter({
+  name: 'jwks_cache_requests_total',
+  help: 'Entra signing key lookups served from the JWKS cache (hit) or fetched (miss)',
+  labelNames: ['result'],
+});
+
+const rateLimitEvents = registry.counter({
+  name: 'rate_limit_events_total',
+  help: 'Requests refused by a rate limit and lockouts started',
+  labelNames: ['route', 'event'],
+});
+
+// Audit sink that turns audit events into counters
+const auditMetricsSink = {
+  write(line, entry) {
+    switch (entry.event) {
+      case 'token.accepted':
+        authAttempts.inc({ credential: 'access_token', result: 'success' });
+        break;
+      case 'token.rejected':
+        authAttempts.inc({ credential: entry.tokenType || 'access_token', result: 'failure', reason: entry.reason });
+        break;
+      case 'session_token.exchanged':
+        authAttempts.inc({ credential: 'session_token', result: 'success' });
+        sessionExchanges.inc({ result: 'success' });
+        break;
+      case 'session_token.rejected':
+        authAttempts.inc({ credential: 'session_token', result: 'failure', reason: entry.reason });
+        sessionExchanges.inc({ result: 'failure', reason: entry.reason });
+        break;
+      case 'introspection.client_rejected':
+        authAttempts.inc({ credential: 'introspection_client', result: 'failure', reason: entry.reason });
+        break;
+      case 'session.created':
+        if (entry.signInMethod === 'bff') {
+          authAttempts.inc({ credential: 'id_token', result: 'success' });
+        }
+        sessionsCreated.inc({ method: entry.signInMethod });
+        break;
+      case 'session.expired':
+        sessionsEnded.inc({ reason: entry.reason });
+        break;
+      case 'session.logout':
+        sessionsEnded.inc({ reason: 'logout' });
+        break;
+      case 'session.revoked':
+        sessionsEnded.inc({ reason: entry.trigger }, entry.count || 0);
+        break;
+      case 'rate_limit.exceeded':
+        rateLimitEvents.inc({ route: entry.route, event: `exceeded_${entry.by}` });
+        break;
+      case 'rate_limit.lockout':
+        rateLimitEvents.inc({ route: entry.route, event: 'lockout' });
+        break;
+      default:
+        break;
+    }
+  },
+};
+
+// Express middleware recording request latency
+// The route label is the matched route pattern (e.g. /api/data/:id), never the raw
+// URL, so IDs and query strings cannot blow up the number of series
+function requestMetrics() {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const routePath = req.route && [].concat(req.route.path).join('|');
+      httpRequestDuration.observe({
+        method: req.method,
+        route: routePath ? req.baseUrl + routePath : req.baseUrl || 'unmatched',
+        status_code: res.statusCode,
+      }, Number(process.hrtime.bigint() - start) / 1e9);
+    });
+    next();
+  };
+}
+
+module.exports = {
+  MetricsRegistry,
+  registry,
+  jwksCacheRequests,
+  auditMetricsSink,
+  requestMetrics,
+};
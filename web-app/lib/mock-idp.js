@@ -0,0 +1,383 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// Offline mock OIDC provider for local development and automated tests
+// Mimics the Entra ID v2.0 endpoint layout under /mock-idp/{tenant}, so the
+// rest of the server only swaps the authority host:
+//
+//   GET  /mock-idp/{tenant}/v2.0/.well-known/openid-configuration
+//   GET  /mock-idp/{tenant}/discovery/v2.0/keys
+//   GET  /mock-idp/{tenant}/oauth2/v2.0/authorize (code flow with PKCE; login_hint skips the picker)
+//   POST /mock-idp/{tenant}/oauth2/v2.0/token    (password, authorization_code, refresh_token, on-behalf-of)
+//   GET  /mock-idp/{tenant}/oauth2/v2.0/logout
+//   GET  /mock-idp/users                         (test users, for the sign-in picker)
+//   GET  /mock-idp/graph/v1.0/me                 (Microsoft Graph stub - the server's
+//   GET  /mock-idp/graph/v1.0/me/photo/$value     GRAPH_BASE_URL default in mock mode)
+//
+// The Graph stub accepts Graph tokens from the on-behalf-of grant (scopes under
+// https://graph.microsoft.com/) and has no photos, so photo requests get Graph's 404
+//
+// A `claims` parameter (e.g. from a claims challenge) is always satisfied - the
+// requested values are added to the tokens as if the user completed the step-up
+//
+// Never enable outside development - any listed test user can sign in
+
+const DEFAULT_USERS = [
+  {
+    username: 'alex.admin@contoso.test',
+    name: 'Alex Admin',
+    oid: '11111111-1111-4111-8111-111111111111',
+    roles: ['Admin'],
+    groups: [],
+  },
+  {
+    username: 'riley.reader@contoso.test',
+    name: 'Riley Reader',
+    oid: '22222222-2222-4222-8222-222222222222',
+    roles: [],
+    groups: [],
+  },
+];
+
+// Test users come from usersFile (MOCK_IDP_USERS_FILE, a JSON array) when set
+// Any extra properties on a user (e.g. acrs, amr) are added to their tokens as claims
+function loadUsers(usersFile) {
+  if (!usersFile) {
+    return DEFAULT_USERS;
+  }
+  return JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+}
+
+// Claim values asked for in an OIDC claims request, e.g.
+// {"access_token":{"acrs":{"essential":true,"value":"c1"}}} -> { acrs: ['c1'] }
+function requestedClaims(claimsRequest) {
+  if (!claimsRequest) {
+    return {};
+  }
+  let request;
+  try {
+    request = JSON.parse(claimsRequest);
+  } catch {
+    return {};
+  }
+
+  const claims = {};
+  for (const [claim, spec] of Object.entries(request.access_token || {})) {
+    const values = spec && (spec.values || (spec.value !== undefined ? [spec.value] : null));
+    if (values) {
+      claims[claim] = claim === 'acr' ? values[0] : values;
+    }
+  }
+  return claims;
+}
+
+class MockIdentityProvider {
+  constructor({ baseUrl, tenantId, clientId, usersFile, users = loadUsers(usersFile), tokenLifetimeSeconds = 3600 }) {
+    this.baseUrl = baseUrl;
+    this.tenantId = tenantId;
+    this.clientId = clientId;
+    this.users = users;
+    this.tokenLifetimeSeconds = tokenLifetimeSeconds;
+
+    // Fresh signing key per process - tokens from a previous run stop verifying
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+    this.kid = crypto.randomBytes(8).toString('hex');
+
+    // Outstanding authorization codes and refresh tokens (in memory)
+    this.codes = new Map();
+    this.refreshTokens = new Map();
+  }
+
+  get issuer() {
+    return `${this.baseUrl}/${this.tenantId}/v2.0`;
+  }
+
+  get graphBaseUrl() {
+    return `${this.baseUrl}/graph/v1.0`;
+  }
+
+  metadata() {
+    const tenantBase = `${this.baseUrl}/${this.tenantId}`;
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${tenantBase}/oauth2/v2.0/authorize`,
+      token_endpoint: `${tenantBase}/oauth2/v2.0/token`,
+      end_session_endpoint: `${tenantBase}/oauth2/v2.0/logout`,
+      jwks_uri: `${tenantBase}/discovery/v2.0/keys`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['password', 'authorization_code', 'refresh_token', 'urn:ietf:params:oauth:grant-type:jwt-bearer'],
+      code_challenge_methods_supported: ['S256'],
+      subject_types_supported: ['pairwise'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'profile', 'email', 'offline_access'],
+    };
+  }
+
+  jwks() {
+    return {
+      keys: [{
+        ...this.publicKey.export({ format: 'jwk' }),
+        kid: this.kid,
+        use: 'sig',
+        alg: 'RS256',
+      }],
+    };
+  }
+
+  findUser(username) {
+    return this.users.find(user => user.username.toLowerCase() === String(username).toLowerCase());
+  }
+
+  // Issue a v2.0-style access token for a test user
+  // Scopes like api://{client-id}/access_as_user become aud={client-id}, scp=access_as_user
+  issueAccessToken(user, { scopes = [], clientId = this.clientId, claimsRequest } = {}) {
+    const apiScopes = scopes.filter(scope => scope.includes('/'));
+    const audience = apiScopes.length > 0
+      ? apiScopes[0].substring(0, apiScopes[0].lastIndexOf('/')).replace(/^api:\/\//, '')
+      : this.clientId;
+    const scp = apiScopes.map(scope => scope.substring(scope.lastIndexOf('/') + 1)).join(' ');
+
+    const { username, password, oid, name, ...extraClaims } = user;
+    return jwt.sign({
+      ...extraClaims,
+      ver: '2.0',
+      tid: this.tenantId,
+      oid,
+      sub: oid,
+      name,
+      preferred_username: username,
+      azp: clientId,
+      scp: scp || undefined,
+      sid: crypto.randomUUID(),
+      ...requestedClaims(claimsRequest),
+    }, this.privateKey, {
+      algorithm: 'RS256',
+      keyid: this.kid,
+      issuer: this.issuer,
+      audience,
+      expiresIn: this.tokenLifetimeSeconds,
+      notBefore: 0,
+    });
+  }
+
+  // Step-up claims go into the ID token too, so BFF sessions record them
+  issueIdToken(user, { clientId = this.clientId, nonce, claimsRequest } = {}) {
+    const { username, password, oid, name, ...extraClaims } = user;
+    return jwt.sign({
+      ...extraClaims,
+      ver: '2.0',
+      tid: this.tenantId,
+      oid,
+      sub: oid,
+      name,
+      preferred_username: username,
+      nonce,
+      ...requestedClaims(claimsRequest),
+    }, this.privateKey, {
+      algorithm: 'RS256',
+      keyid: this.kid,
+      issuer: this.issuer,
+      audience: clientId,
+      expiresIn: this.tokenLifetimeSeconds,
+    });
+  }
+
+  // Token response for a user, including an ID token and refresh token
+  // when openid / offline_access are requested
+  tokenResponse(user, { scopes, clientId, nonce, claimsRequest }) {
+    const response = {
+      token_type: 'Bearer',
+      scope: scopes.join(' '),
+      expires_in: this.tokenLifetimeSeconds,
+      access_token: this.issueAccessToken(user, { scopes, clientId, claimsRequest }),
+    };
+    if (scopes.includes('openid')) {
+      response.id_token = this.issueIdToken(user, { clientId, nonce, claimsRequest });
+    }
+    if (scopes.includes('offline_access')) {
+      response.refresh_token = crypto.randomBytes(32).toString('base64url');
+      this.refreshTokens.set(response.refresh_token, { username: user.username, scopes, clientId, claimsRequest });
+    }
+    return response;
+  }
+
+  // Graph stub middleware - the caller's Graph token must be one this mock issued
+  // for https://graph.microsoft.com; sets req.graphUser
+  authenticateGraph() {
+    return (req, res, next) => {
+      const authHeader = req.headers.authorization || '';
+      let claims;
+      try {
+        claims = jwt.verify(authHeader.replace(/^Bearer /, ''), this.publicKey, {
+          algorithms: ['RS256'],
+          issuer: this.issuer,
+          audience: 'https://graph.microsoft.com',
+        });
+      } catch (error) {
+        return res.status(401).json({ error: { code: 'InvalidAuthenticationToken', message: error.message } });
+      }
+      req.graphUser = this.findUser(claims.preferred_username);
+      if (!req.graphUser) {
+        return res.status(404).json({ error: { code: 'Request_ResourceNotFound', message: 'Unknown test user' } });
+      }
+      next();
+    };
+  }
+
+  // Sign-in page: one link per test user, each re-requesting authorize with a login_hint
+  renderPicker(req) {
+    const escape = (value) => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    const links = this.users.map((user) => {
+      const params = new URLSearchParams({ ...req.query, login_hint: user.username });
+      return `<li><a href="?${escape(params.toString())}">${escape(user.name)} (${escape(user.username)})</a></li>`;
+    });
+    return `<!DOCTYPE html><html><head><title>Mock sign-in</title></head><body>
+<h1>Mock identity provider</h1><p>Sign in as a test user:</p><ul>${links.join('')}</ul></body></html>`;
+  }
+
+  router() {
+    const router = express.Router();
+    router.use(express.urlencoded({ extended: false }));
+
+    router.get('/users', (req, res) => {
+      res.json(this.users.map(user => ({ username: user.username, name: user.name })));
+    });
+
+    router.get('/:tenant/v2.0/.well-known/openid-configuration', (req, res) => {
+      res.json(this.metadata());
+    });
+
+    router.get('/:tenant/discovery/v2.0/keys', (req, res) => {
+      res.json(this.jwks());
+    });
+
+    router.get('/:tenant/oauth2/v2.0/authorize', (req, res) => {
+      const { redirect_uri: redirectUri, state, login_hint: loginHint } = req.query;
+
+      if (!redirectUri || req.query.response_type !== 'code') {
+        return res.status(400).send('redirect_uri and response_type=code are required');
+      }
+
+      const user = loginHint && this.findUser(loginHint);
+      if (!user) {
+        // prompt=none cannot show the picker - report it the way Entra does
+        if (req.query.prompt === 'none') {
+          const url = new URL(redirectUri);
+          url.searchParams.set('error', 'login_required');
+          if (state) url.searchParams.set('state', state);
+          return res.redirect(url.toString());
+        }
+        return res.send(this.renderPicker(req));
+      }
+
+      const code = crypto.randomBytes(32).toString('base64url');
+      this.codes.set(code, {
+        username: user.username,
+        clientId: req.query.client_id,
+        redirectUri,
+        codeChallenge: req.query.code_challenge,
+        nonce: req.query.nonce,
+        scopes: (req.query.scope || '').split(' ').filter(Boolean),
+        claimsRequest: req.query.claims,
+        expiresAt: Date.now() + 5 * 60 * 1000,
+      });
+
+      const url = new URL(redirectUri);
+      url.searchParams.set('code', code);
+      if (state) url.searchParams.set('state', state);
+      res.redirect(url.toString());
+    });
+
+    router.post('/:tenant/oauth2/v2.0/token', (req, res) => {
+      const { grant_type: grantType, client_id: clientId } = req.body;
+
+      if (grantType === 'password') {
+        const user = this.findUser(req.body.username);
+        if (!user || (user.password !== undefined && user.password !== req.body.password)) {
+          return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown test user or wrong password' });
+        }
+        const scopes = (req.body.scope || '').split(' ').filter(Boolean);
+        return res.json(this.tokenResponse(user, { scopes, clientId, claimsRequest: req.body.claims }));
+      }
+
+      if (grantType === 'authorization_code') {
+        const grant = this.codes.get(req.body.code);
+        this.codes.delete(req.body.code);
+
+        if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri) {
+          return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown, expired or mismatched code' });
+        }
+        if (grant.codeChallenge) {
+          const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+          if (challenge !== grant.codeChallenge) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+          }
+        }
+        return res.json(this.tokenResponse(this.findUser(grant.username), grant));
+      }
+
+      if (grantType === 'refresh_token') {
+        const grant = this.refreshTokens.get(req.body.refresh_token);
+        this.refreshTokens.delete(req.body.refresh_token);
+
+        if (!grant) {
+          return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown refresh token' });
+        }
+        const scopes = req.body.scope ? req.body.scope.split(' ').filter(Boolean) : grant.scopes;
+        return res.json(this.tokenResponse(this.findUser(grant.username), { ...grant, scopes }));
+      }
+
+      // On-behalf-of: the assertion must be an access token this mock issued
+      if (grantType === 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+        let assertion;
+        try {
+          assertion = jwt.verify(req.body.assertion, this.publicKey, { algorithms: ['RS256'], issuer: this.issuer });
+        } catch (error) {
+          return res.status(400).json({ error: 'invalid_grant', error_description: `Invalid assertion: ${error.message}` });
+        }
+        const user = this.findUser(assertion.preferred_username);
+        if (!user) {
+          return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown test user' });
+        }
+        const scopes = (req.body.scope || '').split(' ').filter(Boolean);
+        return res.json(this.tokenResponse(user, { scopes, clientId }));
+      }
+
+      res.status(400).json({ error: 'unsupported_grant_type' });
+    });
+
+    router.get('/:tenant/oauth2/v2.0/logout', (req, res) => {
+      res.redirect(req.query.post_logout_redirect_uri || '/');
+    });
+
+    router.get('/graph/v1.0/me', this.authenticateGraph(), (req, res) => {
+      const { username, name, oid } = req.graphUser;
+      res.json({
+        '@odata.context': `${this.graphBaseUrl}/$metadata#users/$entity`,
+        id: oid,
+        displayName: name,
+        userPrincipalName: username,
+        mail: username,
+        givenName: name.split(' ')[0],
+        surname: name.split(' ').slice(1).join(' ') || null,
+        jobTitle: null,
+        officeLocation: null,
+      });
+    });
+
+    // /me/photo/$value and /me/photos/{size}/$value
+    router.get(/^\/graph\/v1\.0\/me\/(photo|photos\/\d+x\d+)\/\$value$/, this.authenticateGraph(), (req, res) => {
+      res.status(404).json({ error: { code: 'ImageNotFound', message: 'The photo wasn\'t found.' } });
+    });
+
+    return router;
+  }
+}
+
+module.exports = {
+  MockIdentityProvider,
+};
@@ -0,0 +1,164 @@
+const { ConfigError } = require('./config-error');
+
+// Origin policy - the one place that decides which origins the app trusts
+//
+// From the app's own origin, the identity provider authority(ies), the API
+// hosts the browser calls directly and any extra cross-origin callers, it derives:
+//   - the CORS allowlist (credentialed requests, exact origin match only)
+//   - CSP connect-src / frame-src and the frame-ancestors for front-channel logout
+//   - the trusted origins for the CSRF origin check
+//   - the cookie domain, Secure and SameSite attributes
+//
+// createOriginPolicy() validates everything up front and throws one ConfigError
+// listing every problem, so a bad deployment fails at startup rather than at
+// the first cross-origin request. loadConfig() runs the same checks through
+// originPolicyProblems(), alongside every other setting.
+
+const SAME_SITE_VALUES = ['lax', 'none'];
+
+// Response headers cross-origin callers may read
+const EXPOSED_HEADERS = [
+  'X-Correlation-ID',
+  'WWW-Authenticate',
+  'Retry-After',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'RateLimit-Policy',
+];
+
+function isLocalhost(hostname) {
+  return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+}
+
+// Exact origin (scheme://host[:port]) of value, recording a problem when it is not one
+function parseOrigin(value, label, problems, { allowPath = false } = {}) {
+  if (value.includes('*')) {
+    problems.push(`${label}: "${value}" - wildcards are not allowed, list each origin`);
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    problems.push(`${label}: "${value}" is not a URL`);
+    return null;
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    problems.push(`${label}: "${value}" must use https (or http for localhost)`);
+    return null;
+  }
+  if (url.protocol === 'http:' && !isLocalhost(url.hostname)) {
+    problems.push(`${label}: "${value}" must use https - http is only allowed for localhost`);
+    return null;
+  }
+  if (!allowPath && (url.pathname !== '/' || url.search || url.hash || value.endsWith('/'))) {
+    problems.push(`${label}: "${value}" must be an origin only (scheme://host[:port], no path or trailing slash)`);
+    return null;
+  }
+  return url.origin;
+}
+
+// appUrl:            the app's public URL (REDIRECT_URI) - its origin is always trusted
+// authorityUrls:     identity provider authority URLs (MSAL connects to and frames these)
+// apiOrigins:        other APIs the browser calls with access tokens
+// corsOrigins:       other sites allowed to call this API with credentials
+// csrfTrustedOrigins: extra origins allowed to POST with the session cookie (no CORS)
+// cookie:            { domain, secure, sameSite } - secure defaults to true for an https app
+function createOriginPolicy({
+  appUrl,
+  authorityUrls,
+  apiOrigins = [],
+  corsOrigins = [],
+  csrfTrustedOrigins = [],
+  cookie = {},
+  production = false,
+}) {
+  const problems = [];
+
+  const appOrigin = parseOrigin(appUrl, 'REDIRECT_URI', problems, { allowPath: true });
+  const authorityOrigins = authorityUrls
+    .map(url => parseOrigin(url, 'AUTHORITY', problems, { allowPath: true }))
+    .filter(Boolean);
+  const apis = apiOrigins.map(origin => parseOrigin(origin, 'API_ORIGINS', problems)).filter(Boolean);
+  const cors = corsOrigins.map(origin => parseOrigin(origin, 'CORS_ALLOWED_ORIGINS', problems)).filter(Boolean);
+  const csrf = csrfTrustedOrigins.map(origin => parseOrigin(origin, 'CSRF_TRUSTED_ORIGINS', problems)).filter(Boolean);
+
+  const appHttps = Boolean(appOrigin) && appOrigin.startsWith('https:');
+  const secure = cookie.secure === undefined ? appHttps || production : cookie.secure;
+  const sameSite = (cookie.sameSite || 'lax').toLowerCase();
+
+  if (production && !secure) {
+    problems.push('COOKIE_SECURE cannot be false in production');
+  }
+  if (!SAME_SITE_VALUES.includes(sameSite)) {
+    // strict would drop the cookie on the redirects back from Entra and the native launch
+    problems.push(`COOKIE_SAME_SITE must be one of: ${SAME_SITE_VALUES.join(', ')}`);
+  }
+  if (sameSite === 'none' && !secure) {
+    problems.push('COOKIE_SAME_SITE=none requires secure cookies');
+  }
+
+  // The cookie domain must cover the app's own host, or browsers reject the cookie
+  let domain;
+  if (cookie.domain && appOrigin) {
+    domain = cookie.domain.replace(/^\./, '').toLowerCase();
+    const appHost = new URL(appOrigin).hostname;
+    if (!/^[a-z0-9.-]+$/.test(domain) || !domain.includes('.')) {
+      problems.push(`COOKIE_DOMAIN: "${cookie.domain}" is not a valid domain`);
+    } else if (appHost !== domain && !appHost.endsWith(`.${domain}`)) {
+      problems.push(`COOKIE_DOMAIN: "${cookie.domain}" does not cover the app host ${appHost}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  const corsAllowlist = [...new Set([appOrigin, ...cors])];
+
+  return {
+    appOrigin,
+    authorityOrigins: [...new Set(authorityOrigins)],
+    corsAllowlist,
+    trustedOrigins: [...new Set([...corsAllowlist, ...csrf])],
+
+    // Options for the cors middleware - unlisted origins get no CORS headers,
+    // so the browser blocks the response
+    corsOptions: {
+      origin: (origin, callback) => callback(null, Boolean(origin) && corsAllowlist.includes(origin)),
+      credentials: true,
+      exposedHeaders: EXPOSED_HEADERS,
+      maxAge: 600,
+    },
+
+    cspDirectives: {
+      connectSrc: ["'self'", ...new Set([...authorityOrigins, ...apis])],
+      frameSrc: [...new Set(authorityOrigins)],
+    },
+
+    cookieOptions: {
+      secure,
+      sameSite,
+      ...(domain ? { domain } : {}),
+    },
+  };
+}
+
+// Every problem createOriginPolicy() would report for these options
+function originPolicyProblems(options) {
+  try {
+    createOriginPolicy(options);
+    return [];
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      return error.problems;
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  createOriginPolicy,
+  originPolicyProblems,
+};
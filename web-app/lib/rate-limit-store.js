@@ -0,0 +1,125 @@
+// Rate limit counter stores
+//
+// Store interface (all methods return Promises):
+//   increment(key, windowMs) -> { count, resetAt } - adds one hit to the key's
+//                               current fixed window, starting a new window of
+//                               windowMs when there is none (resetAt is ms since epoch)
+//   get(key)                 -> stored record or null
+//   set(key, record, ttlMs)  -> stores/replaces a record (lockout state) for ttlMs
+//   delete(key)              -> removes the key
+
+// In-memory store (default) - single instance only, cleared on restart
+class MemoryRateLimitStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async increment(key, windowMs) {
+    let entry = this.live(key);
+    if (!entry) {
+      entry = { value: 0, expiresAt: Date.now() + windowMs };
+      this.entries.set(key, entry);
+    }
+    entry.value += 1;
+    return { count: entry.value, resetAt: entry.expiresAt };
+  }
+
+  async get(key) {
+    const entry = this.live(key);
+    return entry ? entry.value : null;
+  }
+
+  async set(key, record, ttlMs) {
+    this.entries.set(key, { value: record, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Evict expired windows and lockouts
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+// External cache adapter - counters shared by every instance
+// Works with node-redis v4 clients (incr, pExpire, pTTL, get, set with PX, del)
+class RedisRateLimitStore {
+  constructor(client, { keyPrefix = 'rate-limit:' } = {}) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  async increment(key, windowMs) {
+    const redisKey = this.keyPrefix + key;
+    const count = await this.client.incr(redisKey);
+    if (count === 1) {
+      await this.client.pExpire(redisKey, windowMs);
+      return { count, resetAt: Date.now() + windowMs };
+    }
+    const ttlMs = await this.client.pTTL(redisKey);
+    if (ttlMs < 0) {
+      // Expiry lost (e.g. the process died between INCR and PEXPIRE) - start the window again
+      await this.client.pExpire(redisKey, windowMs);
+      return { count, resetAt: Date.now() + windowMs };
+    }
+    return { count, resetAt: Date.now() + ttlMs };
+  }
+
+  async get(key) {
+    const value = await this.client.get(this.keyPrefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, record, ttlMs) {
+    await this.client.set(this.keyPrefix + key, JSON.stringify(record), { PX: Math.max(Math.ceil(ttlMs), 1) });
+  }
+
+  async delete(key) {
+    await this.client.del(this.keyPrefix + key);
+  }
+}
+
+// Build the store selected by RATE_LIMIT_STORE (memory | redis) in the validated config
+function createRateLimitStore(config) {
+  const type = config.RATE_LIMIT_STORE;
+
+  if (type === 'memory') {
+    return new MemoryRateLimitStore();
+  }
+
+  if (type === 'redis') {
+    // Optional dependency - install with `npm install redis` when using this store
+    // (the config schema requires REDIS_URL and the installed package with it)
+    const { createClient } = require('redis');
+    const client = createClient({ url: config.REDIS_URL });
+    client.on('error', (err) => console.error('Rate limit store (redis) error:', err.message));
+    client.connect().catch((err) => console.error('Rate limit store (redis) connect failed:', err.message));
+    return new RedisRateLimitStore(client);
+  }
+
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${type}`);
+}
+
+module.exports = {
+  MemoryRateLimitStore,
+  RedisRateLimitStore,
+  createRateLimitStore,
+};
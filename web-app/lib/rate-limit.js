@@ -0,0 +1,165 @@
+const { audit } = require('./audit');
+
+// Rate limiting and failure lockout for the auth endpoints and protected routes
+//
+// Each route group has its own fixed-window limits, per client IP and/or per
+// signed-in user, configured as "route.by=max/windowSeconds":
+//   session-exchange.ip=10/60,api.user=120/60
+//
+// Every response carries RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+// and RateLimit-Policy headers (IETF draft); 429 responses add Retry-After.
+//
+// Repeated authentication failures from one IP on a route group (bad session
+// tokens, probing with forged bearer tokens) lock that IP out of the group.
+// Only responses whose handler set res.locals.authFailure count - other 401s
+// (claims challenges, expired tokens a client refreshes, missing credentials)
+// come from legitimate callers, often many users behind one NAT address.
+// Each lockout that follows within the reset period doubles the previous one,
+// up to the maximum.
+
+// Parse "route.by=max/windowSeconds" entries over the defaults - "route.by=off" removes a limit
+function parseRateLimits(value, defaults = '') {
+  const limits = {};
+  const entries = `${defaults},${value || ''}`.split(',').map(s => s.trim()).filter(Boolean);
+  for (const entry of entries) {
+    const match = entry.match(/^([\w-]+)\.(ip|user)=(?:(\d+)\/(\d+)|off)$/);
+    if (!match) {
+      throw new Error(`Invalid RATE_LIMITS entry: ${entry}`);
+    }
+    const [, route, by, max, windowSeconds] = match;
+    limits[route] = limits[route] || {};
+    if (max === undefined) {
+      delete limits[route][by];
+    } else {
+      limits[route][by] = { max: parseInt(max, 10), windowMs: parseInt(windowSeconds, 10) * 1000 };
+    }
+  }
+  return limits;
+}
+
+// The user a request is authenticated as (bearer token or server session), if any
+function userKeyOf(req) {
+  if (req.user && (req.user.oid || req.user.username)) {
+    return req.user.oid || req.user.username;
+  }
+  return req.session ? req.session.userId : null;
+}
+
+function secondsUntil(time) {
+  return Math.max(Math.ceil((time - Date.now()) / 1000), 0);
+}
+
+class RateLimiter {
+  // limits:  parseRateLimits() result
+  // lockout: { failures, windowMs, baseMs, maxMs } - failures is the number of
+  //          authentication failures within windowMs that starts a lockout of baseMs
+  constructor({ store, limits, lockout }) {
+    this.store = store;
+    this.limits = limits;
+    this.lockout = lockout;
+  }
+
+  // Middleware enforcing a route group's limit for one key type
+  // by: 'ip' - place before authentication; also enforces the failure lockout
+  // by: 'user' - place after authentication; requests without a user pass through
+  limit(route, { by }) {
+    return async (req, res, next) => {
+      const limit = (this.limits[route] || {})[by];
+      const key = by === 'ip' ? req.ip : userKeyOf(req);
+
+      try {
+        if (by === 'ip') {
+          const lockout = await this.store.get(`lockout:${route}:${key}`);
+          if (lockout && lockout.lockedUntil > Date.now()) {
+            res.set('Retry-After', String(secondsUntil(lockout.lockedUntil)));
+            return res.status(429).json({
+              error: 'Too many failed attempts - try again later',
+              code: 'locked_out',
+              retryAfter: secondsUntil(lockout.lockedUntil),
+            });
+          }
+          res.on('finish', () => {
+            if (res.locals.authFailure) {
+              this.recordFailure(req, route, key).catch((error) => {
+                console.error('Rate limit failure tracking error:', error.message);
+              });
+            }
+          });
+        }
+
+        if (!limit || !key) {
+          return next();
+        }
+
+        const { count, resetAt } = await this.store.increment(`${route}:${by}:${key}`, limit.windowMs);
+        this.setHeaders(res, limit, Math.max(limit.max - count, 0), resetAt);
+
+        if (count > limit.max) {
+          // Logged once per window, not for every rejected request
+          if (count === limit.max + 1) {
+            audit.log('rate_limit.exceeded', {
+              route,
+              by,
+              limit: limit.max,
+              windowSeconds: limit.windowMs / 1000,
+              userId: by === 'user' ? key : undefined,
+            }, req);
+          }
+          res.set('Retry-After', String(secondsUntil(resetAt)));
+          return res.status(429).json({
+            error: 'Too many requests',
+            code: 'rate_limited',
+            retryAfter: secondsUntil(resetAt),
+          });
+        }
+      } catch (error) {
+        // Fail open - an unavailable counter store must not take sign-in down with it
+        console.error('Rate limit store error:', error.message);
+      }
+      next();
+    };
+  }
+
+  // With both an IP and a user limit on a route, the headers describe whichever has less left
+  setHeaders(res, limit, remaining, resetAt) {
+    if (res.locals.rateLimitRemaining !== undefined && res.locals.rateLimitRemaining < remaining) {
+      return;
+    }
+    res.locals.rateLimitRemaining = remaining;
+    res.set({
+      'RateLimit-Limit': String(limit.max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(secondsUntil(resetAt)),
+      'RateLimit-Policy': `${limit.max};w=${limit.windowMs / 1000}`,
+    });
+  }
+
+  async recordFailure(req, route, ip) {
+    const { count } = await this.store.increment(`failures:${route}:${ip}`, this.lockout.windowMs);
+    if (count < this.lockout.failures) {
+      return;
+    }
+
+    const lockoutKey = `lockout:${route}:${ip}`;
+    const previous = await this.store.get(lockoutKey);
+    const level = previous ? previous.level + 1 : 1;
+    const durationMs = Math.min(this.lockout.baseMs * 2 ** (level - 1), this.lockout.maxMs);
+    const lockedUntil = Date.now() + durationMs;
+
+    // The level is kept for maxMs after the lockout ends, so repeat offenders escalate
+    await this.store.set(lockoutKey, { level, lockedUntil }, durationMs + this.lockout.maxMs);
+    await this.store.delete(`failures:${route}:${ip}`);
+
+    audit.log('rate_limit.lockout', {
+      route,
+      level,
+      failures: count,
+      durationSeconds: Math.round(durationMs / 1000),
+    }, req);
+  }
+}
+
+module.exports = {
+  RateLimiter,
+  parseRateLimits,
+};
@@ -0,0 +1,171 @@
+const { ConfigError } = require('./config-error');
+
+// App registrations served by one deployment - e.g. the staging and production
+// tenants side by side. The primary registration comes from the top-level
+// settings (TENANT_ID, CLIENT_ID, ...); APP_REGISTRATIONS adds more, each
+// chosen by host name and/or path prefix:
+//
+//   [{ "name": "staging", "hosts": ["staging.contoso.com"], "tenantId": "...", "clientId": "..." },
+//    { "name": "partner", "pathPrefix": "/partner", "tenantId": "...", "clientId": "...",
+//      "redirectUri": "https://app.contoso.com/partner" }]
+//
+// GET /api/config returns the MSAL settings of the registration matching the
+// page. Bearer tokens and sessions are only accepted by the registration serving
+// the request (its host, or API calls below its path prefix), never one picked
+// from the token's own claims. BFF sign-in and the native handoff use the primary
+// registration. The Graph proxy exchanges tokens on-behalf-of with the serving
+// registration's own client, so an entry needs a clientSecret for Graph calls.
+// (The primary registration's secret is CLIENT_SECRET.)
+
+const REGISTRATION_FIELDS = {
+  name: 'string',
+  hosts: 'list',
+  pathPrefix: 'string',
+  tenantId: 'string',
+  clientId: 'string',
+  clientSecret: 'string',
+  authority: 'url',
+  redirectUri: 'url',
+  scopes: 'list',
+  apiScopes: 'list',
+  issuers: 'list',
+  audiences: 'list',
+};
+
+function validateEntry(entry, index, problems) {
+  const label = `APP_REGISTRATIONS[${index}]${entry && entry.name ? ` (${entry.name})` : ''}`;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    problems.push(`${label} must be an object`);
+    return false;
+  }
+
+  const before = problems.length;
+  for (const [field, value] of Object.entries(entry)) {
+    const type = REGISTRATION_FIELDS[field];
+    if (!type) {
+      problems.push(`${label}: unknown field ${field}`);
+    } else if (type === 'list' && (!Array.isArray(value) || !value.every(item => typeof item === 'string' && item))) {
+      problems.push(`${label}: ${field} must be an array of strings`);
+    } else if (type !== 'list' && (typeof value !== 'string' || !value)) {
+      problems.push(`${label}: ${field} must be a non-empty string`);
+    } else if (type === 'url') {
+      try {
+        new URL(value);
+      } catch {
+        problems.push(`${label}: ${field} "${value}" is not a valid URL`);
+      }
+    }
+  }
+
+  for (const field of ['name', 'tenantId', 'clientId']) {
+    if (!entry[field]) {
+      problems.push(`${label}: ${field} is required`);
+    }
+  }
+  if (!entry.hosts && !entry.pathPrefix) {
+    problems.push(`${label}: hosts or pathPrefix is required to choose it`);
+  }
+  if (typeof entry.pathPrefix === 'string' && !/^(\/[\w.-]+)+$/.test(entry.pathPrefix)) {
+    problems.push(`${label}: pathPrefix must look like /name (no trailing slash)`);
+  }
+  return problems.length === before;
+}
+
+// Host pattern match - exact, or "*.contoso.com" for any subdomain
+function hostMatches(pattern, host) {
+  const normalized = pattern.toLowerCase();
+  if (normalized.startsWith('*.')) {
+    return host.endsWith(normalized.substring(1));
+  }
+  return host === normalized;
+}
+
+function pathMatches(prefix, path) {
+  return path === prefix || path.startsWith(`${prefix}/`);
+}
+
+class AppRegistrations {
+  // primary: resolved registration for the top-level settings
+  // entries: validated APP_REGISTRATIONS entries
+  constructor({ primary, entries, authorityHost }) {
+    this.primary = { name: 'default', ...primary };
+    this.additional = entries.map(entry => this.resolve(entry, authorityHost));
+    this.all = [this.primary, ...this.additional];
+  }
+
+  // Fill in the Entra defaults for an APP_REGISTRATIONS entry
+  resolve(entry, authorityHost) {
+    const authority = entry.authority || `${authorityHost}/${entry.tenantId}`;
+    // Keys and issuer live on the authority's host (authorityHost may carry a path, e.g. /mock-idp)
+    const authorityOrigin = entry.authority ? new URL(entry.authority).origin : authorityHost;
+    return {
+      ...entry,
+      authority,
+      scopes: entry.scopes || this.primary.scopes,
+      apiScopes: entry.apiScopes || [`api://${entry.clientId}/access_as_user`],
+      tokenEndpoint: `${authority}/oauth2/v2.0/token`,
+      jwksUri: `${authorityOrigin}/${entry.tenantId}/discovery/v2.0/keys`,
+      validation: {
+        issuers: entry.issuers || [
+          `${authorityOrigin}/${entry.tenantId}/v2.0`,
+          `https://sts.windows.net/${entry.tenantId}/`,
+        ],
+        audiences: entry.audiences || [entry.clientId, `api://${entry.clientId}`],
+        allowedTenants: [entry.tenantId],
+      },
+    };
+  }
+
+  // Registration for a page: host and path prefix beat host alone, which beats path alone
+  match({ host, path }) {
+    const hostname = (host || '').toLowerCase();
+    let best = null;
+    let bestScore = 0;
+    for (const registration of this.additional) {
+      const hostOk = registration.hosts ? registration.hosts.some(pattern => hostMatches(pattern, hostname)) : null;
+      const pathOk = registration.pathPrefix ? pathMatches(registration.pathPrefix, path || '/') : null;
+      if (hostOk === false || pathOk === false) {
+        continue;
+      }
+      const score = (hostOk ? 2 : 0) + (pathOk ? 1 : 0);
+      if (score > bestScore) {
+        best = registration;
+        bestScore = score;
+      }
+    }
+    return best || this.primary;
+  }
+}
+
+// Every problem with the APP_REGISTRATIONS entries (loadConfig() reports them)
+function registrationProblems(entries) {
+  const problems = [];
+  if (!Array.isArray(entries)) {
+    return ['APP_REGISTRATIONS must be an array'];
+  }
+  entries.forEach((entry, index) => validateEntry(entry, index, problems));
+
+  const names = entries.map(entry => entry && entry.name);
+  for (const name of new Set(names.filter((name, index) => name && names.indexOf(name) !== index))) {
+    problems.push(`APP_REGISTRATIONS: name "${name}" is used more than once`);
+  }
+  if (names.includes('default')) {
+    problems.push('APP_REGISTRATIONS: "default" is reserved for the primary registration');
+  }
+  return problems;
+}
+
+// Validate APP_REGISTRATIONS and build the registrations - throws a ConfigError listing every problem
+function createAppRegistrations({ primary, entries, authorityHost }) {
+  const problems = registrationProblems(entries);
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return new AppRegistrations({ primary, entries, authorityHost });
+}
+
+module.exports = {
+  AppRegistrations,
+  createAppRegistrations,
+  registrationProblems,
+};
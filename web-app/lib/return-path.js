@@ -0,0 +1,38 @@
+// Return paths ("deep links") carried through sign-in and the native handoff
+//
+// Only same-origin absolute paths are accepted - anything that could send the
+// user to another site (//evil.example, /\evil.example, https://...) is dropped,
+// so a crafted launch URL cannot turn the app into an open redirect.
+// public/app.js applies the same rules in the browser.
+
+const MAX_RETURN_PATH_LENGTH = 2048;
+
+// Normalised path + query + fragment, or null if the value is not a safe same-origin path
+function safeReturnPath(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > MAX_RETURN_PATH_LENGTH) {
+    return null;
+  }
+  if (!value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+    return null;
+  }
+  // Browsers ignore tabs and newlines in URLs, which would let '/\t/evil.example' through
+  if (/[\u0000-\u001f\\]/.test(value)) {
+    return null;
+  }
+
+  const base = 'http://return-path.invalid';
+  let url;
+  try {
+    url = new URL(value, base);
+  } catch {
+    return null;
+  }
+  if (url.origin !== base) {
+    return null;
+  }
+  return url.pathname + url.search + url.hash;
+}
+
+module.exports = {
+  safeReturnPath,
+};
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { TokenSealer } = require('./token-sealing');
+
+// Server-side session stores
+//
+// Store interface (all methods return Promises):
+//   get(id)            -> session object or null
+//   set(id, session)   -> stores/replaces the session; session.expiresAt (ms) drives eviction
+//   destroy(id)        -> removes the session
+//   destroyBy(match)   -> removes every session whose fields equal all of match's
+//                         ({ field: value, ... }), resolves the count
+//   count()            -> number of unexpired sessions (active_sessions metric)
+//   ping()             -> resolves when the store is usable, rejects otherwise (readiness check)
+
+// In-memory store (default) - single instance only, cleared on restart
+class MemorySessionStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.sessions = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweepTimer.unref();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return { ...session };
+  }
+
+  async set(id, session) {
+    this.sessions.set(id, { ...session });
+  }
+
+  async destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  async destroyBy(match) {
+    let count = 0;
+    for (const [id, session] of this.sessions) {
+      if (Object.entries(match).every(([field, value]) => session[field] === value)) {
+        this.sessions.delete(id);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async count() {
+    const now = Date.now();
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      if (session.expiresAt > now) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async ping() {}
+
+  sweep() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+// Session fields holding tokens - the native app's OBO assertion and the BFF tokens
+const TOKEN_FIELDS = ['assertion', 'tokens'];
+
+// JSON file store - survives restarts on a single instance
+// Keeps the sessions in memory and rewrites the file after each change
+// Token fields are written encrypted with sealer (see token-sealing.js); a session
+// whose tokens cannot be decrypted (SESSION_SECRET changed) is dropped on load
+class FileSessionStore extends MemorySessionStore {
+  constructor({ filePath, sealer, ...options }) {
+    super(options);
+    this.filePath = filePath;
+    this.sealer = sealer;
+    this.writeQueue = Promise.resolve();
+    this.load();
+  }
+
+  // File record for a session - token fields replaced by one sealed value
+  toRecord(session) {
+    const record = { ...session };
+    const tokens = {};
+    for (const field of TOKEN_FIELDS) {
+      if (record[field] !== undefined) {
+        tokens[field] = record[field];
+        delete record[field];
+      }
+    }
+    if (Object.keys(tokens).length > 0) {
+      record.sealedTokens = this.sealer.seal(tokens);
+    }
+    return record;
+  }
+
+  fromRecord(record) {
+    const { sealedTokens, ...session } = record;
+    return sealedTokens ? { ...session, ...this.sealer.open(sealedTokens) } : session;
+  }
+
+  load() {
+    try {
+      const records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      let dropped = 0;
+      for (const [id, record] of Object.entries(records)) {
+        try {
+          this.sessions.set(id, this.fromRecord(record));
+        } catch {
+          dropped++;
+        }
+      }
+      if (dropped > 0) {
+        console.warn(`⚠️  Dropped ${dropped} stored session(s) whose tokens could not be decrypted - was SESSION_SECRET changed?`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load session file, starting empty:', error.message);
+      }
+    }
+  }
+
+  async set(id, session) {
+    await super.set(id, session);
+    return this.persist();
+  }
+
+  async destroy(id) {
+    await super.destroy(id);
+    return this.persist();
+  }
+
+  async destroyBy(match) {
+    const count = await super.destroyBy(match);
+    if (count > 0) {
+      await this.persist();
+    }
+    return count;
+  }
+
+  // The sessions are in memory - check the file can still be written
+  async ping() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+  }
+
+  sweep() {
+    const sizeBefore = this.sessions.size;
+    super.sweep();
+    if (this.sessions.size !== sizeBefore) {
+      this.persist().catch(() => {});
+    }
+  }
+
+  // Serialize writes and replace the file atomically via rename
+  persist() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      const records = {};
+      for (const [id, session] of this.sessions) {
+        records[id] = this.toRecord(session);
+      }
+      const data = JSON.stringify(records);
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, data, { mode: 0o600 });
+      await fs.promises.rename(tempPath, this.filePath);
+    }).catch((error) => {
+      console.error('Failed to write session file:', error.message);
+    });
+    return this.writeQueue;
+  }
+}
+
+// Build the store selected by SESSION_STORE (memory | file) in the validated config
+// secret: key material for encrypting tokens in the session file (SESSION_SECRET)
+function createSessionStore(config, { secret }) {
+  const type = config.SESSION_STORE;
+
+  if (type === 'memory') {
+    return new MemorySessionStore();
+  }
+
+  if (type === 'file') {
+    return new FileSessionStore({ filePath: config.SESSION_STORE_FILE, sealer: new TokenSealer(secret, 'session-store') });
+  }
+
+  throw new Error(`Unknown SESSION_STORE: ${type}`);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ALGORITHM, SigningKeyManager } = require('./signing-keys');
+
+// Short-lived session initialization tokens
+// Minted for the native app by /api/native/create-session-token and exchanged
+// by the web app (launched in Chrome Custom Tabs) at /api/web/initialize-session
+// Signed with rotating asymmetric keys, published at /.well-known/jwks.json
+
+const SESSION_TOKEN_TYPE = 'session_init';
+
+// Session token issuer from the validated configuration (lib/config.js):
+//   SESSION_TOKEN_ISSUER, SESSION_TOKEN_LIFETIME_SECONDS
+//   SIGNING_KEYS_FILE, SIGNING_KEY_ROTATION_HOURS, SIGNING_KEY_OVERLAP_HOURS
+// Returns { issuer, signingKeys, createSessionToken, verifySessionToken }
+function createSessionTokens(config) {
+  const issuer = config.SESSION_TOKEN_ISSUER;
+  const lifetimeSeconds = config.SESSION_TOKEN_LIFETIME_SECONDS;
+
+  const signingKeys = new SigningKeyManager({
+    keysFile: config.SIGNING_KEYS_FILE,
+    rotationIntervalMs: config.SIGNING_KEY_ROTATION_HOURS * 60 * 60 * 1000,
+    overlapMs: config.SIGNING_KEY_OVERLAP_HOURS * 60 * 60 * 1000,
+  });
+
+  if (!config.SIGNING_KEYS_FILE) {
+    // In-memory keys - fine for a single instance, but other instances cannot verify its tokens
+    console.warn('⚠️  SIGNING_KEYS_FILE not set - session token signing keys are held in memory only');
+  }
+
+  // Create a signed session token from validated access token claims
+  // audience names the web app that may exchange it
+  function createSessionToken(claims, { audience }) {
+    const jti = crypto.randomUUID();
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + lifetimeSeconds;
+
+    const signingKey = signingKeys.current();
+    const token = jwt.sign({
+      type: SESSION_TOKEN_TYPE,
+      sub: claims.oid || claims.sub,
+      oid: claims.oid,
+      tid: claims.tid,
+      // Entra session ID - lets front-channel logout end the web session
+      sid: claims.sid,
+      name: claims.name,
+      email: claims.email,
+      preferred_username: claims.preferred_username || claims.upn,
+      // Entra login_hint optional claim - lets the web app sign MSAL in silently as this user
+      login_hint: claims.login_hint,
+      // Carried through so authorization rules also apply to native-app sessions
+      roles: claims.roles,
+      groups: claims.groups,
+      // How the user authenticated (authentication context, methods) - for requireClaims
+      acrs: claims.acrs,
+      amr: claims.amr,
+      acr: claims.acr,
+      hasgroups: Boolean(claims.hasgroups || (claims._claim_names && claims._claim_names.groups)) || undefined,
+      // Native app that requested the token (v2 azp, v1 appid)
+      azp: claims.azp || claims.appid,
+      iat: issuedAt,
+      exp: expiresAt,
+      jti,
+    }, signingKey.privateKey, {
+      algorithm: ALGORITHM,
+      keyid: signingKey.kid,
+      issuer,
+      audience,
+    });
+
+    return {
+      token,
+      jti,
+      expiresAt: expiresAt * 1000,
+      expiresIn: lifetimeSeconds,
+    };
+  }
+
+  // Verify signature (by kid), issuer, audience, expiry and token type
+  // Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure
+  function verifySessionToken(token, { audience }) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const publicKey = signingKeys.getVerificationKey(decoded.header.kid);
+    if (!publicKey) {
+      throw new jwt.JsonWebTokenError(`unknown signing key: ${decoded.header.kid}`);
+    }
+
+    const payload = jwt.verify(token, publicKey, {
+      algorithms: [ALGORITHM],
+      issuer,
+      audience,
+    });
+
+    if (payload.type !== SESSION_TOKEN_TYPE) {
+      throw new jwt.JsonWebTokenError('Invalid token type');
+    }
+
+    return payload;
+  }
+
+  return {
+    issuer,
+    signingKeys,
+    createSessionToken,
+    verifySessionToken,
+  };
+}
+
+module.exports = {
+  SESSION_TOKEN_TYPE,
+  createSessionTokens,
+};
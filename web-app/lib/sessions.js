@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { audit, fingerprint } = require('./audit');
+
+// Cookie-based sessions backed by a server-side store
+// The cookie only carries an opaque random ID, signed via cookie-parser so
+// tampered values are rejected before any store lookup
+
+const SESSION_COOKIE = 'session';
+
+class SessionManager {
+  constructor({ store, idleTimeoutMs, absoluteTimeoutMs, cookieOptions = {} }) {
+    this.store = store;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.absoluteTimeoutMs = absoluteTimeoutMs;
+    this.cookieOptions = {
+      httpOnly: true,
+      sameSite: 'lax',
+      path: '/',
+      ...cookieOptions,
+      signed: true,
+    };
+  }
+
+  // Start a new session for the user. Any session the request already has is
+  // destroyed so the ID always rotates on login (prevents session fixation)
+  async create(req, res, data) {
+    const previousId = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+    if (previousId) {
+      await this.store.destroy(previousId);
+    }
+
+    const id = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = {
+      ...data,
+      createdAt: now,
+      lastSeenAt: now,
+      absoluteExpiresAt: now + this.absoluteTimeoutMs,
+    };
+    session.expiresAt = this.computeExpiry(session);
+
+    await this.store.set(id, session);
+    res.cookie(SESSION_COOKIE, id, {
+      ...this.cookieOptions,
+      maxAge: this.absoluteTimeoutMs,
+    });
+
+    return { id, ...session };
+  }
+
+  // Load the request's session, enforcing idle and absolute timeouts
+  // Resolves null when there is no valid session. With touch: false the idle
+  // window is not slid (status polling must not keep a session alive)
+  async load(req, { touch = true } = {}) {
+    const id = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+    if (!id) {
+      return null;
+    }
+
+    const session = await this.store.get(id);
+    if (!session) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (now >= session.absoluteExpiresAt || now - session.lastSeenAt >= this.idleTimeoutMs) {
+      await this.store.destroy(id);
+      audit.log('session.expired', {
+        reason: now >= session.absoluteExpiresAt ? 'absolute_timeout' : 'idle_timeout',
+        sessionId: fingerprint(id),
+        userId: session.userId,
+      }, req);
+      return null;
+    }
+
+    // Slide the idle window, at most once a minute to limit store writes
+    if (touch && now - session.lastSeenAt > 60 * 1000) {
+      session.lastSeenAt = now;
+      session.expiresAt = this.computeExpiry(session);
+      await this.store.set(id, session);
+    }
+
+    return { id, ...session };
+  }
+
+  // Slide the idle window now (e.g. the user chose "stay signed in")
+  // The absolute timeout still applies
+  async touch(session) {
+    session.lastSeenAt = Date.now();
+    session.expiresAt = this.computeExpiry(session);
+    await this.save(session);
+    return session;
+  }
+
+  // Persist changes made to a loaded session (e.g. refreshed tokens)
+  async save(session) {
+    const { id, ...data } = session;
+    await this.store.set(id, data);
+  }
+
+  async destroy(req, res) {
+    const id = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+    if (id) {
+      await this.store.destroy(id);
+    }
+    res.clearCookie(SESSION_COOKIE, this.cookieOptions);
+  }
+
+  // End every session matching all the given stored fields - e.g. a user's sessions
+  // from one native app (native sign-out) or an Entra session ID (front-channel logout)
+  async destroyBy(match) {
+    return this.store.destroyBy(match);
+  }
+
+  computeExpiry(session) {
+    return Math.min(session.lastSeenAt + this.idleTimeoutMs, session.absoluteExpiresAt);
+  }
+
+  // Express middleware - attaches req.session (or null) and clears stale cookies
+  // GET requests to passivePaths load the session without sliding its idle window
+  middleware({ passivePaths = [] } = {}) {
+    return async (req, res, next) => {
+      try {
+        const touch = !(req.method === 'GET' && passivePaths.includes(req.path));
+        req.session = await this.load(req, { touch });
+        const hasCookie = req.cookies[SESSION_COOKIE] !== undefined || req.signedCookies[SESSION_COOKIE] !== undefined;
+        if (!req.session && hasCookie) {
+          res.clearCookie(SESSION_COOKIE, this.cookieOptions);
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  SessionManager,
+};
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Asymmetric signing keys for tokens this server issues (session tokens)
+//
+// - The newest key signs; older keys stay published for verification until
+//   rotationInterval + overlap after their creation, so tokens signed just
+//   before a rotation still verify
+// - Public keys are published as a JWKS (/.well-known/jwks.json) so other
+//   services can verify by kid without sharing a secret
+// - With a keysFile the key set is persisted (0600) and survives restarts;
+//   instances that share the file share the keys: each re-reads the file when
+//   it changes (before signing, publishing or rotating, and on an unknown kid)
+//   and merges it before writing, so a key added by any instance reaches all
+
+const ALGORITHM = 'RS256';
+
+class SigningKeyManager {
+  constructor({ keysFile, rotationIntervalMs, overlapMs }) {
+    this.keysFile = keysFile;
+    this.rotationIntervalMs = rotationIntervalMs;
+    this.overlapMs = overlapMs;
+    this.keys = [];
+    this.fileMtimeMs = null;
+
+    this.rotateIfDue();
+
+    // Check hourly (or more often for short rotation intervals)
+    this.rotationTimer = setInterval(() => this.rotateIfDue(), Math.min(rotationIntervalMs, 60 * 60 * 1000));
+    this.rotationTimer.unref();
+  }
+
+  // Keys in the shared file ([] before any instance has written it)
+  readFile() {
+    try {
+      const { keys } = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+      return keys.map(key => ({
+        kid: key.kid,
+        createdAt: key.createdAt,
+        privateKey: crypto.createPrivateKey(key.privateKey),
+        publicKey: crypto.createPublicKey(key.privateKey),
+      }));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Failed to load signing keys from ${this.keysFile}: ${error.message}`);
+    }
+  }
+
+  // Add keys this instance does not hold yet
+  merge(keys) {
+    const known = new Set(this.keys.map(key => key.kid));
+    this.keys.push(...keys.filter(key => !known.has(key.kid)));
+  }
+
+  // Pick up keys other instances wrote to the shared file - re-read only when it changed
+  sync() {
+    if (!this.keysFile) {
+      return;
+    }
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(this.keysFile).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    if (mtimeMs !== this.fileMtimeMs) {
+      this.merge(this.readFile());
+      this.fileMtimeMs = mtimeMs;
+    }
+  }
+
+  // Drop keys past rotation + overlap (never the signing key); true when any were dropped
+  dropExpired() {
+    const now = Date.now();
+    const current = this.newest();
+    const retained = this.keys.filter(key =>
+      key === current || now - key.createdAt < this.rotationIntervalMs + this.overlapMs);
+    const dropped = retained.length !== this.keys.length;
+    this.keys = retained;
+    return dropped;
+  }
+
+  persist() {
+    if (!this.keysFile) {
+      return;
+    }
+    // Merge whatever other instances wrote since the last sync, so concurrent
+    // rotations keep every instance's key
+    this.merge(this.readFile());
+    this.dropExpired();
+    const data = JSON.stringify({
+      keys: this.keys.map(key => ({
+        kid: key.kid,
+        createdAt: key.createdAt,
+        privateKey: key.privateKey.export({ format: 'pem', type: 'pkcs8' }),
+      })),
+    }, null, 2);
+    const tempPath = `${this.keysFile}.tmp`;
+    fs.mkdirSync(path.dirname(this.keysFile), { recursive: true });
+    fs.writeFileSync(tempPath, data, { mode: 0o600 });
+    fs.renameSync(tempPath, this.keysFile);
+    this.fileMtimeMs = fs.statSync(this.keysFile).mtimeMs;
+  }
+
+  generateKey() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return {
+      kid: crypto.randomBytes(8).toString('hex'),
+      createdAt: Date.now(),
+      privateKey,
+      publicKey,
+    };
+  }
+
+  // Add a new signing key when the current one is due, and drop keys past their overlap
+  // Another instance may already have rotated - the shared file is read first
+  rotateIfDue() {
+    this.sync();
+    let changed = false;
+
+    const current = this.newest();
+    if (!current || Date.now() - current.createdAt >= this.rotationIntervalMs) {
+      const key = this.generateKey();
+      this.keys.push(key);
+      console.log('Signing key rotated, new kid:', key.kid);
+      changed = true;
+    }
+
+    if (this.dropExpired()) {
+      changed = true;
+    }
+
+    if (changed) {
+      this.persist();
+    }
+  }
+
+  newest() {
+    return this.keys.reduce((newest, key) => (!newest || key.createdAt > newest.createdAt ? key : newest), null);
+  }
+
+  // Newest key across all instances sharing the file - used for signing
+  current() {
+    this.sync();
+    return this.newest();
+  }
+
+  // Readiness check - rejects unless the current key is within its rotation
+  // window, can sign and verify, and (when persisted) the key file is readable
+  async check() {
+    const current = this.current();
+    if (!current) {
+      throw new Error('No signing key');
+    }
+    if (Date.now() - current.createdAt >= this.rotationIntervalMs + this.overlapMs) {
+      throw new Error('Current signing key is past its rotation window');
+    }
+    const data = Buffer.from(current.kid);
+    if (!crypto.verify('sha256', data, current.publicKey, crypto.sign('sha256', data, current.privateKey))) {
+      throw new Error('Signing key failed a sign/verify round trip');
+    }
+    if (this.keysFile) {
+      await fs.promises.access(this.keysFile, fs.constants.R_OK);
+    }
+  }
+
+  // An unknown kid may be a key another instance has just added
+  getVerificationKey(kid) {
+    const find = () => this.keys.find(candidate => candidate.kid === kid);
+    let key = find();
+    if (!key) {
+      this.sync();
+      key = find();
+    }
+    return key ? key.publicKey : null;
+  }
+
+  jwks() {
+    this.sync();
+    return {
+      keys: this.keys.map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        use: 'sig',
+        alg: ALGORITHM,
+      })),
+    };
+  }
+}
+
+module.exports = {
+  ALGORITHM,
+  SigningKeyManager,
+};
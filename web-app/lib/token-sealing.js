@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+// Encryption for token material kept outside the process (session file, redis)
+// AES-256-GCM with a key derived from a server secret (SESSION_SECRET) and a
+// purpose, so each use gets its own key. Sealed values are strings:
+//   v1.<iv>.<auth tag>.<ciphertext>   (base64url)
+// Every instance sharing the data needs the same secret.
+
+const VERSION = 'v1';
+
+class TokenSealer {
+  constructor(secret, purpose) {
+    this.key = Buffer.from(crypto.hkdfSync('sha256', String(secret), '', `token-sealing:${purpose}`, 32));
+  }
+
+  // Encrypt any JSON-serializable value
+  seal(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+      .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+      .join('.');
+  }
+
+  // Decrypt a sealed value - throws when it was sealed with another secret or tampered with
+  open(sealed) {
+    const [version, iv, tag, ciphertext] = String(sealed).split('.');
+    if (version !== VERSION || !ciphertext) {
+      throw new Error('Not a sealed value');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+}
+
+module.exports = {
+  TokenSealer,
+};
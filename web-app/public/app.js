@@ -9,8 +9,41 @@
 
 let msalInstance;
 let msalConfig;
+let appConfig;
 let tokenResponse = null;
 
+// 'msal' for browser sign-in, 'session' for users handed off from the native app
+// (session cookie only - no MSAL account in this browser)
+let authMode = 'msal';
+
+// CSRF token for state-changing requests made with the session cookie
+let csrfToken = null;
+
+// ssoSilent hints (sid / loginHint) for the native-app session user
+let sessionMsalHints = null;
+
+// Account shown in this tab: MSAL homeAccountId, 'session' for cookie sessions,
+// null when signed out - compared against what other tabs report
+let displayedAccountId = null;
+
+// Expiry of the token (MSAL) or cookie session shown in the token panel, in ms
+// on this browser's clock
+let expiresAt = null;
+let sessionExtendable = false;
+let renewalTimer = null;
+let countdownTimer = null;
+let sessionPollTimer = null;
+
+// Renew MSAL tokens this long before they expire; warn this long before expiry
+const TOKEN_RENEWAL_MARGIN_MS = 5 * 60 * 1000;
+const EXPIRY_WARNING_MS = 5 * 60 * 1000;
+// How often cookie-session users poll /api/web/session
+const SESSION_POLL_INTERVAL_MS = 60 * 1000;
+
+// Cross-tab sync of sign-in, sign-out and account changes
+const AUTH_SYNC_CHANNEL = 'enterprise-auth-demo-sync';
+let authSyncChannel = null;
+
 // DOM Elements
 const elements = {
   loading: document.getElementById('loading'),
@@ -20,9 +53,11 @@ const elements = {
   logoutButton: document.getElementById('logoutButton'),
   getProfileButton: document.getElementById('getProfileButton'),
   getDataButton: document.getElementById('getDataButton'),
+  getAdminDataButton: document.getElementById('getAdminDataButton'),
   userName: document.getElementById('userName'),
   userEmail: document.getElementById('userEmail'),
   userInitials: document.getElementById('userInitials'),
+  userPhoto: document.getElementById('userPhoto'),
   dataDisplay: document.getElementById('dataDisplay'),
   dataContent: document.getElementById('dataContent'),
   statusText: document.getElementById('statusText'),
@@ -31,8 +66,28 @@ const elements = {
   tokenScopes: document.getElementById('tokenScopes'),
   debugInfo: document.getElementById('debug-info'),
   debugContent: document.getElementById('debug-content'),
+  mockUsers: document.getElementById('mockUsers'),
+  mockUserList: document.getElementById('mockUserList'),
+  sessionModeNotice: document.getElementById('sessionModeNotice'),
+  accountPicker: document.getElementById('accountPicker'),
+  accountList: document.getElementById('accountList'),
+  addAccountButton: document.getElementById('addAccountButton'),
+  expiryWarning: document.getElementById('expiryWarning'),
+  expiryWarningText: document.getElementById('expiryWarningText'),
+  expiryWarningButton: document.getElementById('expiryWarningButton'),
+  connectMsalButton: document.getElementById('connectMsalButton'),
+  recordLinks: document.getElementById('recordLinks'),
+  recordView: document.getElementById('recordView'),
+  recordTitle: document.getElementById('recordTitle'),
+  recordContent: document.getElementById('recordContent'),
 };
 
+// Client-side routes - the server serves index.html for each of these paths
+const routes = [
+  { pattern: /^\/$/, render: renderHome },
+  { pattern: /^\/records\/([^/]+)$/, render: renderRecord },
+];
+
 /**
  * Initialize the application
  */
@@ -48,6 +103,14 @@ async function init() {
     
     // Fetch configuration from backend
     const config = await fetchConfig();
+    appConfig = config;
+
+    // BFF mode (server holds the tokens) and mock identity provider mode
+    // (MSAL requires an https authority) both run without MSAL in the browser
+    if (config.authMode === 'bff' || config.mockIdp) {
+      await initWithoutMsal();
+      return;
+    }
     
     // Initialize MSAL
     msalConfig = {
@@ -55,6 +118,8 @@ async function init() {
         clientId: config.clientId,
         authority: config.authority,
         redirectUri: config.redirectUri,
+        // The return path travels in the request state instead (see returnToFromState)
+        navigateToLoginRequestUrl: false,
       },
       cache: {
         cacheLocation: 'localStorage',
@@ -74,6 +139,9 @@ async function init() {
     msalInstance = new msal.PublicClientApplication(msalConfig);
     await msalInstance.initialize();
 
+    // Set up event listeners (before the native handoff path, which returns early)
+    setupEventListeners();
+
     // Check for session token in URL (from Chrome Custom Tabs / Native App)
     const sessionToken = checkForSessionTokenInUrl();
     
@@ -94,16 +162,16 @@ async function init() {
     // Check if user is already signed in
     const accounts = msalInstance.getAllAccounts();
     if (accounts.length > 0) {
-      msalInstance.setActiveAccount(accounts[0]);
-      await handleAuthenticatedUser(accounts[0]);
-    } else {
+      // MSAL persists the active account, so the user stays on the one they switched to
+      const account = msalInstance.getActiveAccount() || accounts[0];
+      msalInstance.setActiveAccount(account);
+      await handleAuthenticatedUser(account);
+    } else if (!(await restoreNativeSession())) {
       showUnauthenticatedView();
     }
 
-    // Set up event listeners
-    setupEventListeners();
-    
     updateStatus('Ready');
+    checkForSessionError();
   } catch (error) {
     console.error('Initialization error:', error);
     updateStatus('Error initializing', true);
@@ -111,11 +179,100 @@ async function init() {
   }
 }
 
+/**
+ * Initialize without MSAL - the session cookie is the only credential
+ * In BFF mode the server signs the user in; with the mock identity provider
+ * test users sign in through the same native handoff the Android app uses
+ */
+async function initWithoutMsal() {
+  setupEventListeners();
+
+  const sessionToken = checkForSessionTokenInUrl();
+  if (sessionToken) {
+    await handleSessionTokenExchange(sessionToken);
+  } else if (!(await restoreNativeSession())) {
+    showUnauthenticatedView();
+  }
+
+  if (appConfig.authMode === 'bff') {
+    updateStatus('Ready (server-side sign-in)');
+  } else {
+    await renderMockUsers();
+    updateStatus('Ready (mock identity provider)');
+  }
+  checkForSessionError();
+}
+
+/**
+ * Show a sign-in button per mock test user
+ */
+async function renderMockUsers() {
+  const response = await fetch(appConfig.mockIdp.usersEndpoint);
+  const users = await response.json();
+
+  elements.mockUserList.replaceChildren(...users.map(user => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary';
+    button.textContent = `${user.name} (${user.username})`;
+    button.addEventListener('click', () => mockSignIn(user.username));
+    return button;
+  }));
+
+  elements.loginButton.style.display = 'none';
+  elements.mockUsers.style.display = 'block';
+}
+
+/**
+ * Sign in a mock test user, simulating the native app:
+ * access token from the mock IdP -> session token -> session exchange
+ */
+async function mockSignIn(username) {
+  try {
+    showLoading(true);
+    updateStatus('Signing in test user...');
+
+    const idpResponse = await fetch(appConfig.mockIdp.tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'password',
+        client_id: appConfig.clientId,
+        username,
+        scope: appConfig.apiScopes.join(' '),
+      }),
+    });
+    if (!idpResponse.ok) {
+      throw new Error('Mock token request failed');
+    }
+    const { access_token: accessToken } = await idpResponse.json();
+
+    const sessionResponse = await fetch(apiUrl('/api/native/create-session-token'), {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+    });
+    if (!sessionResponse.ok) {
+      throw new Error('Session token request failed');
+    }
+    const { session_token: sessionToken } = await sessionResponse.json();
+
+    await handleSessionTokenExchange(sessionToken);
+  } catch (error) {
+    console.error('Mock sign in error:', error);
+    updateStatus('Sign in failed', true);
+    showDebugInfo(error);
+    showLoading(false);
+  }
+}
+
 /**
  * Fetch configuration from backend
+ * The server picks the app registration for this host and path
  */
 async function fetchConfig() {
-  const response = await fetch('/api/config');
+  const response = await fetch(`/api/config?path=${encodeURIComponent(window.location.pathname)}`);
   if (!response.ok) {
     throw new Error('Failed to fetch configuration');
   }
@@ -124,10 +281,68 @@ async function fetchConfig() {
 
 /**
  * Check URL for session token parameter (from Chrome Custom Tabs)
+ * The fragment (#session_token=) never reaches the server; the query string
+ * is only honoured while the server still allows it
  */
 function checkForSessionTokenInUrl() {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get('session_token');
+  const fragmentParams = new URLSearchParams(window.location.hash.substring(1));
+  if (fragmentParams.has('session_token')) {
+    return fragmentParams.get('session_token');
+  }
+
+  const queryParams = new URLSearchParams(window.location.search);
+  if (queryParams.has('session_token')) {
+    if (appConfig.sessionTokenInQuery) {
+      return queryParams.get('session_token');
+    }
+    console.warn('Ignoring session_token in query string - use the URL fragment or form_post launch');
+    removeSessionParamsFromUrl();
+  }
+  return null;
+}
+
+/**
+ * Return path from the launch URL (return_to next to session_token), if valid
+ * The native app can also open the target page directly: /records/2#session_token=...
+ */
+function getLaunchReturnPath() {
+  const fragmentParams = new URLSearchParams(window.location.hash.substring(1));
+  const queryParams = new URLSearchParams(window.location.search);
+  return safeReturnPath(fragmentParams.get('return_to') || queryParams.get('return_to'));
+}
+
+/**
+ * Remove session handoff parameters from the URL (query and fragment) without reloading
+ */
+function removeSessionParamsFromUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('session_token');
+  url.searchParams.delete('session_error');
+  url.searchParams.delete('return_to');
+
+  const fragmentParams = new URLSearchParams(url.hash.substring(1));
+  if (fragmentParams.has('session_token') || fragmentParams.has('return_to')) {
+    fragmentParams.delete('session_token');
+    fragmentParams.delete('return_to');
+    url.hash = fragmentParams.toString();
+  }
+
+  const cleanUrl = url.pathname + url.search + (url.hash.length > 1 ? url.hash : '');
+  window.history.replaceState({}, document.title, cleanUrl);
+}
+
+/**
+ * Report a failed form_post launch (/api/web/launch redirects with ?session_error=<code>)
+ */
+function checkForSessionError() {
+  const code = new URLSearchParams(window.location.search).get('session_error');
+  if (!code) {
+    return false;
+  }
+  console.error('Session handoff failed:', code);
+  removeSessionParamsFromUrl();
+  updateStatus(`Session handoff failed (${code}) - please sign in`, true);
+  return true;
 }
 
 /**
@@ -138,9 +353,13 @@ async function handleSessionTokenExchange(sessionToken) {
   try {
     showLoading(true);
     updateStatus('Initializing session from native app...');
+
+    // Where the native app wants the user to land - kept even if the exchange
+    // fails, so signing in manually still ends up on that page
+    const returnTo = getLaunchReturnPath();
     
     // Exchange session token for authenticated session
-    const response = await fetch('/api/web/initialize-session', {
+    const response = await fetch(apiUrl('/api/web/initialize-session'), {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -150,24 +369,35 @@ async function handleSessionTokenExchange(sessionToken) {
     });
 
     // IMMEDIATELY remove token from URL for security (even if exchange fails)
-    const cleanUrl = window.location.pathname + window.location.hash;
-    window.history.replaceState({}, document.title, cleanUrl);
+    removeSessionParamsFromUrl();
+    if (returnTo) {
+      window.history.replaceState({}, document.title, appPath(returnTo));
+    }
 
     if (response.ok) {
       const data = await response.json();
       
       console.log('Session initialized successfully from native app');
       
-      // Session cookie is now set by the backend
-      // Create account object from response
-      const account = {
-        username: data.user.email || data.user.username || data.user.name,
-        name: data.user.name,
-        email: data.user.email,
-      };
+      // Session cookie is now set by the backend - API calls use it from here on
+      authMode = 'session';
+      csrfToken = data.csrfToken;
+      sessionMsalHints = { sid: data.sid, loginHint: data.loginHint };
 
-      await handleAuthenticatedUser(account);
-      updateStatus('Authenticated via native app');
+      // Prefer a real MSAL account for the same user, so tokens can be acquired
+      // in the browser; without one the app stays on the session cookie
+      const msalAccount = await bridgeSessionToMsal(sessionMsalHints);
+      if (msalAccount) {
+        await handleAuthenticatedUser(msalAccount);
+        updateStatus('Authenticated via native app (Microsoft account connected)');
+      } else {
+        await handleAuthenticatedUser({
+          username: data.user.email || data.user.username || data.user.name,
+          name: data.user.name,
+          email: data.user.email,
+        });
+        updateStatus('Authenticated via native app (session cookie only)');
+      }
       
     } else {
       const errorData = await response.json().catch(() => ({ error: 'Session initialization failed' }));
@@ -188,11 +418,102 @@ async function handleSessionTokenExchange(sessionToken) {
   }
 }
 
+/**
+ * Sign MSAL in silently as the native-app session user (ssoSilent with the
+ * Entra session ID, then the login hint from the session exchange)
+ * Returns the MSAL account, or null when that needs interaction - e.g. the
+ * browser has no Entra session because the native app signed in via the broker
+ */
+async function bridgeSessionToMsal(hints) {
+  if (!msalInstance || !hints) {
+    return null;
+  }
+
+  const attempts = [];
+  if (hints.sid) {
+    attempts.push({ sid: hints.sid });
+  }
+  if (hints.loginHint) {
+    attempts.push({ loginHint: hints.loginHint });
+  }
+
+  for (const hint of attempts) {
+    try {
+      const response = await msalInstance.ssoSilent({
+        scopes: ['User.Read', 'profile', 'openid'],
+        ...hint,
+      });
+      tokenResponse = response;
+      msalInstance.setActiveAccount(response.account);
+      authMode = 'msal';
+      return response.account;
+    } catch (error) {
+      console.warn(`ssoSilent with ${Object.keys(hint)[0]} failed:`, error.errorCode || error.message);
+    }
+  }
+
+  console.warn('No MSAL account for the native-app session - continuing with the session cookie only');
+  return null;
+}
+
+/**
+ * Connect a Microsoft account interactively for a cookie-only session
+ * (the silent bridge failed); returns to the current page afterwards
+ */
+async function connectMsalAccount() {
+  try {
+    await msalInstance.loginRedirect({
+      scopes: ['User.Read', 'profile', 'openid'],
+      loginHint: sessionMsalHints ? sessionMsalHints.loginHint : undefined,
+      state: currentPath(),
+    });
+  } catch (error) {
+    console.error('Connect account error:', error);
+    showDebugInfo(error);
+  }
+}
+
+/**
+ * Restore a cookie session (native handoff or BFF sign-in) after a page reload
+ * The session cookie survives the reload even though there is no MSAL account
+ */
+async function restoreNativeSession() {
+  try {
+    const response = await fetch(apiUrl('/api/user/profile'), { credentials: 'include' });
+    if (!response.ok) {
+      return false;
+    }
+
+    const data = await response.json();
+    if (data.authMethod !== 'session') {
+      return false;
+    }
+
+    authMode = 'session';
+    sessionMsalHints = data.msalHints || null;
+    await handleAuthenticatedUser({
+      username: data.user.username,
+      name: data.user.name,
+      email: data.user.email,
+    });
+    return true;
+  } catch (error) {
+    console.error('Session restore failed:', error);
+    return false;
+  }
+}
+
 /**
  * Handle MSAL redirect response
  */
 async function handleResponse(response) {
   if (response !== null) {
+    // Back to the page the sign-in or token redirect started from
+    const returnTo = safeReturnPath(response.state);
+    if (returnTo) {
+      window.history.replaceState({}, document.title, returnTo);
+    }
+
     tokenResponse = response;
     msalInstance.setActiveAccount(response.account);
     await handleAuthenticatedUser(response.account);
@@ -207,18 +528,179 @@ function setupEventListeners() {
   elements.logoutButton.addEventListener('click', signOut);
   elements.getProfileButton.addEventListener('click', getProfile);
   elements.getDataButton.addEventListener('click', getData);
+  elements.getAdminDataButton.addEventListener('click', getAdminData);
+  elements.connectMsalButton.addEventListener('click', connectMsalAccount);
+  elements.addAccountButton.addEventListener('click', addAccount);
+  elements.expiryWarningButton.addEventListener('click', extendExpiry);
+  setupAuthSync();
+
+  // In-app links (<a data-route>) navigate without reloading the page
+  document.addEventListener('click', (event) => {
+    const link = event.target.closest('a[data-route]');
+    if (!link || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(link.getAttribute('href'));
+  });
+  window.addEventListener('popstate', renderRoute);
+}
+
+/**
+ * Validate a return path - only same-origin absolute paths are allowed
+ * (mirrors lib/return-path.js on the server)
+ * Returns the normalised path, or null if the value could leave this origin
+ */
+function safeReturnPath(value) {
+  if (typeof value !== 'string' || value.length === 0 || value.length > 2048) {
+    return null;
+  }
+  if (!value.startsWith('/') || value.startsWith('//') || value.startsWith('/\\')) {
+    return null;
+  }
+  if (/[\u0000-\u001f\\]/.test(value)) {
+    return null;
+  }
+  try {
+    const url = new URL(value, window.location.origin);
+    return url.origin === window.location.origin ? url.pathname + url.search + url.hash : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The current page as a return path (carried through sign-in redirects)
+ */
+function currentPath() {
+  return window.location.pathname + window.location.search;
+}
+
+/**
+ * A client-side route as a URL path - under the registration's base path, if it has one
+ */
+function appPath(path) {
+  const base = appConfig.basePath || '';
+  if (!base || path === base || path.startsWith(`${base}/`)) {
+    return path;
+  }
+  return base + path;
+}
+
+/**
+ * The client-side route for the current URL (base path removed)
+ */
+function routePath() {
+  const base = appConfig.basePath || '';
+  const pathname = window.location.pathname;
+  if (base && (pathname === base || pathname.startsWith(`${base}/`))) {
+    return pathname.substring(base.length) || '/';
+  }
+  return pathname;
+}
+
+/**
+ * URL for a call to this app's API - below the registration's base path, so the
+ * server validates tokens against that registration
+ */
+function apiUrl(path) {
+  return (appConfig.basePath || '') + path;
+}
+
+/**
+ * Navigate to a client-side route
+ */
+function navigate(path, { replace = false } = {}) {
+  const target = appPath(safeReturnPath(path) || '/');
+  if (replace) {
+    window.history.replaceState({}, document.title, target);
+  } else {
+    window.history.pushState({}, document.title, target);
+  }
+  renderRoute();
+}
+
+/**
+ * Render the view for the current path (only once the user is signed in)
+ */
+function renderRoute() {
+  if (elements.authenticatedView.style.display === 'none') {
+    return;
+  }
+
+  for (const route of routes) {
+    const match = routePath().match(route.pattern);
+    if (match) {
+      route.render(...match.slice(1).map(decodeURIComponent));
+      return;
+    }
+  }
+  navigate('/', { replace: true });
+}
+
+/**
+ * Home route - the overview with the API buttons
+ */
+function renderHome() {
+  elements.recordView.style.display = 'none';
+}
+
+/**
+ * Record route (/records/:id) - the page the native app deep links to
+ */
+async function renderRecord(id) {
+  elements.dataDisplay.style.display = 'none';
+  elements.recordTitle.textContent = `Record ${id}`;
+  elements.recordContent.textContent = 'Loading...';
+  elements.recordView.style.display = 'block';
+
+  try {
+    const response = await callApi(`/api/data/${encodeURIComponent(id)}`);
+    if (response.status === 404) {
+      elements.recordContent.textContent = 'Record not found';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(`Failed to fetch record: ${response.status}`);
+    }
+    const data = await response.json();
+    elements.recordContent.textContent = JSON.stringify(data.record, null, 2);
+  } catch (error) {
+    console.error('Get record error:', error);
+    elements.recordContent.textContent = 'Failed to load record: ' + error.message;
+  }
+}
+
+/**
+ * Links to the record pages for the items returned by /api/data
+ */
+function renderRecordLinks(records) {
+  elements.recordLinks.replaceChildren(...records.map(record => {
+    const link = document.createElement('a');
+    link.href = appPath(`/records/${encodeURIComponent(record.id)}`);
+    link.dataset.route = '';
+    link.textContent = `Open ${record.item}`;
+    return link;
+  }));
 }
 
 /**
  * Sign in user
  */
 async function signIn() {
+  // BFF mode - the server runs the authorization code flow
+  if (appConfig.authMode === 'bff') {
+    window.location.assign(`/auth/login?return_to=${encodeURIComponent(currentPath())}`);
+    return;
+  }
+
   try {
     showLoading(true);
     updateStatus('Signing in...');
 
     const loginRequest = {
       scopes: ['User.Read', 'profile', 'openid'],
+      state: currentPath(),
     };
 
     // Try silent authentication first
@@ -242,15 +724,38 @@ async function signIn() {
 
 /**
  * Sign out user
+ * Ends the server session first, then signs out of Entra for MSAL users
  */
 async function signOut() {
   try {
     showLoading(true);
     updateStatus('Signing out...');
 
+    const response = await callApiWithSession(apiUrl('/api/web/logout'), { method: 'POST' });
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error('Server logout failed:', response.status);
+    }
+
+    broadcastAuthChange('logout', { accountId: displayedAccountId });
+
+    // BFF sessions also end the Entra session the server signed in with
+    if (result.logoutUrl) {
+      window.location.assign(result.logoutUrl);
+      return;
+    }
+
+    // Native-session users have no MSAL account to sign out of
+    if (authMode === 'session') {
+      resetAfterSignOut();
+      updateStatus('Signed out');
+      return;
+    }
+
     const logoutRequest = {
       account: msalInstance.getActiveAccount(),
     };
+    stopExpiryTracking();
 
     await msalInstance.logoutRedirect(logoutRequest);
   } catch (error) {
@@ -261,24 +766,135 @@ async function signOut() {
   }
 }
 
+/**
+ * List the MSAL accounts cached in this browser, with switch / sign out per account
+ */
+function renderAccountPicker() {
+  const accounts = msalInstance.getAllAccounts();
+  const active = msalInstance.getActiveAccount();
+
+  elements.accountList.replaceChildren(...accounts.map(account => {
+    const isActive = Boolean(active) && active.homeAccountId === account.homeAccountId;
+
+    const item = document.createElement('li');
+    const details = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'account-name';
+    name.textContent = account.name || account.username;
+    const username = document.createElement('div');
+    username.className = 'account-username';
+    username.textContent = account.username;
+    details.append(name, username);
+
+    const actions = document.createElement('div');
+    if (isActive) {
+      const badge = document.createElement('span');
+      badge.className = 'account-active';
+      badge.textContent = 'Active';
+      actions.append(badge);
+    } else {
+      const switchButton = document.createElement('button');
+      switchButton.className = 'btn btn-secondary';
+      switchButton.textContent = 'Switch';
+      switchButton.addEventListener('click', () => switchAccount(account));
+      actions.append(switchButton);
+    }
+    const signOutButton = document.createElement('button');
+    signOutButton.className = 'btn btn-outline';
+    signOutButton.textContent = 'Sign out';
+    signOutButton.addEventListener('click', () => signOutAccount(account));
+    actions.append(signOutButton);
+
+    item.append(details, actions);
+    return item;
+  }));
+
+  elements.accountPicker.style.display = 'block';
+}
+
+/**
+ * Make another cached account the active one - tokens are then acquired for it
+ */
+async function switchAccount(account) {
+  msalInstance.setActiveAccount(account);
+  tokenResponse = null;
+  resetUserDisplay();
+  await handleAuthenticatedUser(account);
+  updateStatus(`Switched to ${account.username}`);
+  broadcastAuthChange('account-changed');
+}
+
+/**
+ * Add another account - Entra shows its account picker instead of reusing the current session
+ */
+async function addAccount() {
+  try {
+    await msalInstance.loginRedirect({
+      scopes: ['User.Read', 'profile', 'openid'],
+      prompt: 'select_account',
+      state: currentPath(),
+    });
+  } catch (error) {
+    console.error('Add account error:', error);
+    showDebugInfo(error);
+  }
+}
+
+/**
+ * Sign out one account - MSAL removes only that account from the cache,
+ * so the other accounts stay signed in
+ */
+async function signOutAccount(account) {
+  const active = msalInstance.getActiveAccount();
+  if (active && active.homeAccountId === account.homeAccountId) {
+    // The active account may also own the server session
+    await signOut();
+    return;
+  }
+
+  try {
+    showLoading(true);
+    await msalInstance.logoutRedirect({ account });
+  } catch (error) {
+    console.error('Sign out account error:', error);
+    updateStatus('Sign out failed', true);
+    showLoading(false);
+  }
+}
+
+/**
+ * Clear what was shown for the previous user (photo, API responses)
+ */
+function resetUserDisplay() {
+  elements.userPhoto.removeAttribute('src');
+  elements.userPhoto.style.display = 'none';
+  elements.userInitials.style.display = '';
+  elements.dataDisplay.style.display = 'none';
+  elements.recordLinks.replaceChildren();
+}
+
 /**
  * Get access token for API calls
+ * Defaults to Microsoft Graph; pass appConfig.apiScopes for the backend API
+ * `claims` (from a claims challenge) bypasses the token cache and asks Entra
+ * for a token carrying those claims - interactively if Conditional Access requires it
  */
-async function getAccessToken() {
+async function getAccessToken(scopes = ['User.Read'], { claims } = {}) {
   const account = msalInstance.getActiveAccount();
   if (!account) {
     throw new Error('No active account');
   }
 
   const request = {
-    scopes: ['User.Read'],
+    scopes: scopes,
     account: account,
+    ...(claims ? { claims } : {}),
   };
 
   try {
     // Always try to get a fresh token silently
     const response = await msalInstance.acquireTokenSilent(request);
-    tokenResponse = response;
+    showTokenInfo(response);
     return response.accessToken;
   } catch (error) {
     console.error('Silent token acquisition failed:', error);
@@ -286,40 +902,141 @@ async function getAccessToken() {
     // If silent acquisition fails, try interactive
     if (error.name === 'InteractionRequiredAuthError') {
       console.log('Interaction required, redirecting to login...');
-      await msalInstance.acquireTokenRedirect(request);
+      await msalInstance.acquireTokenRedirect({ ...request, state: currentPath() });
     }
     throw error;
   }
 }
 
+/**
+ * Call a protected backend API
+ * Uses a bearer token in MSAL mode and the session cookie in native-session mode
+ */
+async function callApi(path, options = {}) {
+  if (authMode === 'session') {
+    const response = await callApiWithSession(apiUrl(path), options);
+    const challenge = getClaimsChallenge(response);
+
+    // BFF: the server signs in again with the requested claims, then returns here
+    if (challenge && appConfig.authMode === 'bff') {
+      const params = new URLSearchParams({ claims: challenge.encoded, return_to: currentPath() });
+      window.location.assign(`/auth/login?${params}`);
+    }
+    return response;
+  }
+
+  const fetchWithToken = (token) => fetch(apiUrl(path), {
+    ...options,
+    headers: {
+      ...options.headers,
+      'Authorization': `Bearer ${token}`,
+    },
+  });
+
+  const response = await fetchWithToken(await getAccessToken(appConfig.apiScopes));
+
+  // Step-up (MFA, authentication context): get a token with the requested claims and retry once
+  const challenge = getClaimsChallenge(response);
+  if (!challenge) {
+    return response;
+  }
+  console.log('Claims challenge received - re-acquiring token with claims:', challenge.claims);
+  const token = await getAccessToken(appConfig.apiScopes, { claims: challenge.claims });
+  return fetchWithToken(token);
+}
+
+/**
+ * Read a claims challenge from a 401 response
+ * WWW-Authenticate: Bearer error="insufficient_claims", claims="<base64 JSON>"
+ * Returns { claims, encoded } or null
+ */
+function getClaimsChallenge(response) {
+  if (response.status !== 401) {
+    return null;
+  }
+  const header = response.headers.get('WWW-Authenticate') || '';
+  const match = header.match(/claims="([^"]+)"/);
+  if (!header.includes('error="insufficient_claims"') || !match) {
+    return null;
+  }
+  try {
+    return { claims: atob(match[1]), encoded: match[1] };
+  } catch (error) {
+    console.error('Malformed claims challenge:', error);
+    return null;
+  }
+}
+
+/**
+ * Call a backend API with the session cookie
+ * State-changing requests carry the CSRF token, refreshed once if the server rejects it
+ */
+async function callApiWithSession(path, options = {}, isRetry = false) {
+  const method = (options.method || 'GET').toUpperCase();
+  const headers = { ...options.headers };
+
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+    if (!csrfToken) {
+      csrfToken = await fetchCsrfToken();
+    }
+    if (csrfToken) {
+      headers['X-CSRF-Token'] = csrfToken;
+    }
+  }
+
+  const response = await fetch(path, { ...options, headers, credentials: 'include' });
+
+  if (response.status === 403 && !isRetry) {
+    const body = await response.clone().json().catch(() => ({}));
+    if (body.code === 'csrf_token_invalid' || body.code === 'csrf_token_missing') {
+      csrfToken = null;
+      return callApiWithSession(path, options, true);
+    }
+  }
+
+  return response;
+}
+
+/**
+ * Fetch the CSRF token for the current session (null when there is no session)
+ */
+async function fetchCsrfToken() {
+  const response = await fetch(apiUrl('/api/web/csrf-token'), { credentials: 'include' });
+  if (response.status === 401) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error('Failed to fetch CSRF token');
+  }
+  const data = await response.json();
+  return data.csrfToken;
+}
+
 /**
  * Get user profile
+ * Microsoft Graph is called by the backend (on-behalf-of), which works for
+ * MSAL, BFF and native-session users alike
  */
 async function getProfile() {
   try {
     showLoading(true);
     console.log('Attempting to get profile...');
-    const token = await getAccessToken();
-    console.log('Got access token, length:', token ? token.length : 0);
 
-    // Call Microsoft Graph API directly
-    const response = await fetch('https://graph.microsoft.com/v1.0/me', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-      },
-    });
+    const response = await callApi('/api/graph/me');
 
     console.log('Profile response status:', response.status);
     
     if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Profile fetch failed:', errorText);
-      throw new Error(`Failed to fetch profile: ${response.status}`);
+      const errorData = await response.json().catch(() => ({}));
+      console.error('Profile fetch failed:', errorData);
+      throw new Error(errorData.error || `Failed to fetch profile: ${response.status}`);
     }
 
     const data = await response.json();
     console.log('Profile data received:', data);
     displayData(data);
+
+    await loadProfilePhoto();
   } catch (error) {
     console.error('Get profile error:', error);
     alert('Failed to fetch profile: ' + error.message);
@@ -328,19 +1045,36 @@ async function getProfile() {
   }
 }
 
+/**
+ * Show the user's Graph photo in the avatar (keeps the initials if there is none)
+ */
+async function loadProfilePhoto() {
+  const response = await callApi('/api/graph/photo?size=96x96');
+  if (!response.ok) {
+    return;
+  }
+
+  // CSP allows data: images, not blob: URLs
+  const blob = await response.blob();
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+  elements.userPhoto.src = dataUrl;
+  elements.userPhoto.style.display = 'block';
+  elements.userInitials.style.display = 'none';
+}
+
 /**
  * Get protected data
  */
 async function getData() {
   try {
     showLoading(true);
-    const token = await getAccessToken();
-
-    const response = await fetch('/api/data', {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-      },
-    });
+    const response = await callApi('/api/data');
 
     if (!response.ok) {
       throw new Error('Failed to fetch data');
@@ -348,6 +1082,7 @@ async function getData() {
 
     const data = await response.json();
     displayData(data);
+    renderRecordLinks(data.data);
   } catch (error) {
     console.error('Get data error:', error);
     alert('Failed to fetch data: ' + error.message);
@@ -356,6 +1091,329 @@ async function getData() {
   }
 }
 
+/**
+ * Get admin-only data - the backend returns 403 unless the user has the admin role or group
+ */
+async function getAdminData() {
+  try {
+    showLoading(true);
+    const response = await callApi('/api/admin/data');
+
+    // 401 here is an unmet step-up (claims challenge) that could not be satisfied,
+    // e.g. a cookie-only native session with no MSAL account
+    if (response.status === 403 || response.status === 401) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error_description || 'Not authorized');
+    }
+    if (!response.ok) {
+      throw new Error('Failed to fetch admin data');
+    }
+
+    const data = await response.json();
+    displayData(data);
+  } catch (error) {
+    console.error('Get admin data error:', error);
+    alert('Failed to fetch admin data: ' + error.message);
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Show a token in the token panel and schedule its renewal before it expires
+ */
+function showTokenInfo(response) {
+  tokenResponse = response;
+  elements.tokenType.textContent = response.tokenType || 'Bearer';
+  elements.tokenScopes.textContent = response.scopes ? response.scopes.join(', ') : 'N/A';
+
+  if (!response.expiresOn) {
+    elements.tokenExpiry.textContent = 'N/A';
+    return;
+  }
+  expiresAt = new Date(response.expiresOn).getTime();
+
+  clearTimeout(renewalTimer);
+  renewalTimer = setTimeout(renewToken, Math.max(expiresAt - Date.now() - TOKEN_RENEWAL_MARGIN_MS, 0));
+  startCountdown();
+}
+
+/**
+ * Renew the token shown in the panel in the background
+ * Failures leave the countdown running, so the expiry warning appears
+ */
+async function renewToken() {
+  const account = msalInstance.getActiveAccount();
+  if (!account || !tokenResponse) {
+    return false;
+  }
+
+  try {
+    const response = await msalInstance.acquireTokenSilent({
+      scopes: tokenResponse.scopes,
+      account,
+      forceRefresh: true,
+    });
+    showTokenInfo(response);
+    console.log('Token renewed, expires', response.expiresOn);
+    return true;
+  } catch (error) {
+    console.warn('Background token renewal failed:', error.errorCode || error.message);
+    return false;
+  }
+}
+
+/**
+ * Follow the cookie session's expiry - polled, since the server slides it
+ * on activity (from any tab) and enforces the absolute timeout
+ */
+function startSessionTracking() {
+  clearInterval(sessionPollTimer);
+  sessionPollTimer = setInterval(pollSessionStatus, SESSION_POLL_INTERVAL_MS);
+  pollSessionStatus();
+}
+
+/**
+ * Read the cookie session's expiry from the server (does not extend it)
+ */
+async function pollSessionStatus() {
+  try {
+    const response = await fetch(apiUrl('/api/web/session'), { credentials: 'include' });
+    if (!response.ok) {
+      return;
+    }
+    applySessionStatus(await response.json());
+  } catch (error) {
+    console.warn('Session status check failed:', error.message);
+  }
+}
+
+/**
+ * Update the countdown from a /api/web/session response
+ */
+function applySessionStatus(status) {
+  if (authMode !== 'session') {
+    return;
+  }
+  if (!status.authenticated) {
+    handleExpired();
+    return;
+  }
+  // Server times, shifted onto this browser's clock
+  expiresAt = Date.now() + (status.expiresAt - status.serverTime);
+  sessionExtendable = status.extendable;
+  startCountdown();
+}
+
+/**
+ * Tick the expiry countdown every second
+ */
+function startCountdown() {
+  clearInterval(countdownTimer);
+  countdownTimer = setInterval(updateExpiryDisplay, 1000);
+  updateExpiryDisplay();
+}
+
+/**
+ * Stop renewal, polling and the countdown (signed out or another account shown)
+ */
+function stopExpiryTracking() {
+  clearTimeout(renewalTimer);
+  clearInterval(countdownTimer);
+  clearInterval(sessionPollTimer);
+  expiresAt = null;
+  elements.expiryWarning.style.display = 'none';
+}
+
+/**
+ * Render the remaining lifetime, warning shortly before expiry
+ */
+function updateExpiryDisplay() {
+  if (!expiresAt) {
+    return;
+  }
+
+  const remaining = expiresAt - Date.now();
+  if (remaining <= 0) {
+    handleExpired();
+    return;
+  }
+
+  elements.tokenExpiry.textContent =
+    `${new Date(expiresAt).toLocaleTimeString()} (${formatDuration(remaining)} left)`;
+
+  if (remaining > EXPIRY_WARNING_MS) {
+    elements.expiryWarning.style.display = 'none';
+    return;
+  }
+
+  const what = authMode === 'session' ? 'Your session' : 'Your access token';
+  const canExtend = authMode !== 'session' || sessionExtendable;
+  elements.expiryWarningText.textContent = canExtend
+    ? `${what} expires in ${formatDuration(remaining)}.`
+    : `${what} reaches its maximum lifetime in ${formatDuration(remaining)} - sign in again to continue.`;
+  elements.expiryWarningButton.style.display = canExtend ? '' : 'none';
+  elements.expiryWarning.style.display = 'block';
+}
+
+/**
+ * The token or session has run out
+ */
+function handleExpired() {
+  if (authMode === 'session') {
+    resetAfterSignOut();
+    updateStatus('Session expired - please sign in again', true);
+    return;
+  }
+
+  clearInterval(countdownTimer);
+  elements.tokenExpiry.textContent = 'Expired';
+  elements.expiryWarningText.textContent = 'Your access token has expired.';
+  elements.expiryWarningButton.style.display = '';
+  elements.expiryWarning.style.display = 'block';
+}
+
+/**
+ * "Stay signed in" - slide the cookie session, or renew the MSAL token
+ * (interactively if silent renewal is no longer possible)
+ */
+async function extendExpiry() {
+  try {
+    if (authMode === 'session') {
+      const response = await callApiWithSession(apiUrl('/api/web/session'), { method: 'POST' });
+      if (!response.ok) {
+        throw new Error(`Failed to extend session: ${response.status}`);
+      }
+      applySessionStatus(await response.json());
+      broadcastAuthChange('session-extended');
+      return;
+    }
+
+    if (!(await renewToken())) {
+      await msalInstance.acquireTokenRedirect({
+        scopes: tokenResponse ? tokenResponse.scopes : ['User.Read'],
+        account: msalInstance.getActiveAccount(),
+        state: currentPath(),
+      });
+    }
+  } catch (error) {
+    console.error('Extend error:', error);
+    updateStatus('Could not extend sign-in', true);
+  }
+}
+
+/**
+ * Format a duration as "1h 05m", "4m 09s" or "12s"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = n => String(n).padStart(2, '0');
+  if (hours > 0) {
+    return `${hours}h ${pad(minutes)}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${pad(seconds)}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Listen for sign-in, sign-out and account changes made in other tabs
+ * BroadcastChannel where available, otherwise localStorage 'storage' events
+ */
+function setupAuthSync() {
+  if ('BroadcastChannel' in window) {
+    authSyncChannel = new BroadcastChannel(AUTH_SYNC_CHANNEL);
+    authSyncChannel.addEventListener('message', event => handleAuthSyncMessage(event.data));
+    return;
+  }
+
+  window.addEventListener('storage', (event) => {
+    if (event.key === AUTH_SYNC_CHANNEL && event.newValue) {
+      handleAuthSyncMessage(JSON.parse(event.newValue));
+    }
+  });
+}
+
+/**
+ * Tell other tabs that the auth state changed ('login', 'logout',
+ * 'account-changed', 'session-extended') - they re-read it themselves
+ */
+function broadcastAuthChange(type, detail = {}) {
+  const message = { type, ...detail, at: Date.now() };
+  if (authSyncChannel) {
+    authSyncChannel.postMessage(message);
+  } else {
+    localStorage.setItem(AUTH_SYNC_CHANNEL, JSON.stringify(message));
+  }
+}
+
+/**
+ * Apply a change reported by another tab
+ */
+async function handleAuthSyncMessage(message) {
+  console.log('Auth change in another tab:', message.type);
+
+  if (message.type === 'logout') {
+    // Only the account that tab signed out - other MSAL accounts stay signed in
+    if (displayedAccountId && (!message.accountId || message.accountId === displayedAccountId)) {
+      resetAfterSignOut();
+      updateStatus('Signed out in another tab');
+    }
+    return;
+  }
+
+  if (message.type === 'session-extended') {
+    await pollSessionStatus();
+    return;
+  }
+
+  await syncAuthState();
+}
+
+/**
+ * Re-read the shared auth state (MSAL cache in localStorage, session cookie)
+ * and show whatever it now says
+ */
+async function syncAuthState() {
+  const accounts = msalInstance ? msalInstance.getAllAccounts() : [];
+  if (accounts.length > 0) {
+    const account = msalInstance.getActiveAccount() || accounts[0];
+    if (account.homeAccountId !== displayedAccountId) {
+      authMode = 'msal';
+      msalInstance.setActiveAccount(account);
+      tokenResponse = null;
+      resetUserDisplay();
+      await handleAuthenticatedUser(account);
+    } else {
+      renderAccountPicker();
+    }
+    return;
+  }
+
+  // Signed out here, or a cookie session (possibly replaced by a new handoff)
+  const restored = (displayedAccountId === null || authMode === 'session') && await restoreNativeSession();
+  if (!restored && displayedAccountId !== null) {
+    resetAfterSignOut();
+  }
+}
+
+/**
+ * Back to the signed-out state (without navigating away)
+ */
+function resetAfterSignOut() {
+  stopExpiryTracking();
+  authMode = 'msal';
+  csrfToken = null;
+  tokenResponse = null;
+  displayedAccountId = null;
+  resetUserDisplay();
+  showUnauthenticatedView();
+}
+
 /**
  * Handle authenticated user
  */
@@ -367,6 +1425,27 @@ async function handleAuthenticatedUser(account) {
   const initials = getInitials(account.name || account.username || 'U');
   elements.userInitials.textContent = initials;
 
+  // Timers belong to whatever was shown before
+  stopExpiryTracking();
+
+  // Native-session users have no MSAL account to acquire tokens for
+  if (authMode === 'session') {
+    // Only native-app sessions could have an MSAL account (not BFF or mock mode)
+    elements.sessionModeNotice.style.display = msalInstance ? 'block' : 'none';
+    elements.accountPicker.style.display = 'none';
+    elements.tokenType.textContent = msalInstance ? 'Session cookie (no MSAL account)' : 'Session cookie';
+    elements.tokenExpiry.textContent = 'Checking...';
+    elements.tokenScopes.textContent = 'N/A';
+    displayedAccountId = 'session';
+    startSessionTracking();
+    showAuthenticatedView();
+    updateStatus(appConfig.authMode === 'bff' ? 'Authenticated (server session)' : 'Authenticated via native app session');
+    return;
+  }
+
+  elements.sessionModeNotice.style.display = 'none';
+  renderAccountPicker();
+
   // Acquire token silently to get token info
   try {
     if (!tokenResponse) {
@@ -377,21 +1456,16 @@ async function handleAuthenticatedUser(account) {
       tokenResponse = await msalInstance.acquireTokenSilent(request);
     }
     
-    // Display token info
+    // Display token info and schedule its renewal
     if (tokenResponse) {
-      elements.tokenType.textContent = tokenResponse.tokenType || 'Bearer';
-      elements.tokenExpiry.textContent = tokenResponse.expiresOn 
-        ? new Date(tokenResponse.expiresOn).toLocaleString()
-        : 'N/A';
-      elements.tokenScopes.textContent = tokenResponse.scopes 
-        ? tokenResponse.scopes.join(', ')
-        : 'N/A';
+      showTokenInfo(tokenResponse);
     }
   } catch (error) {
     console.error('Failed to acquire token for display:', error);
     // Still show authenticated view even if token acquisition fails
   }
 
+  displayedAccountId = account.homeAccountId;
   showAuthenticatedView();
   updateStatus('Authenticated');
 }
@@ -401,6 +1475,7 @@ async function handleAuthenticatedUser(account) {
  */
 function displayData(data) {
   elements.dataContent.textContent = JSON.stringify(data, null, 2);
+  elements.recordLinks.replaceChildren();
   elements.dataDisplay.style.display = 'block';
 }
 
@@ -427,9 +1502,16 @@ function showLoading(show) {
  * Show authenticated view
  */
 function showAuthenticatedView() {
+  const wasSignedOut = elements.authenticatedView.style.display === 'none';
   elements.unauthenticatedView.style.display = 'none';
   elements.authenticatedView.style.display = 'block';
   showLoading(false);
+  renderRoute();
+
+  // Signed-out tabs pick the new sign-in up (tabs already signed in ignore it)
+  if (wasSignedOut) {
+    broadcastAuthChange('login');
+  }
 }
 
 /**
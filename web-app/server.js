@@ -1,7 +1,9 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const helmet = require('helmet');
 const path = require('path');
+const crypto = require('crypto');
 const dotenv = require('dotenv');
 const jwt = require('jsonwebtoken');
 const jwksClient = require('jwks-rsa');
@@ -9,29 +11,505 @@ const jwksClient = require('jwks-rsa');
 // Load environment variables
 dotenv.config();
 
+// Settings from config files and the environment, validated against the schema in
+// lib/config.js. The lib factories below take the typed values from it rather
+// than reading process.env. Any problem stops startup with a list of them all.
+const { ConfigError, appBaseUrlFor, authorityHostFor, loadConfig } = require('./lib/config');
+
+// Configuration problems stop startup with the list of them rather than a stack trace
+function configured(load) {
+  try {
+    return load();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(`❌ ${error.message}`);
+    console.error('See .env.example and the Configuration section of the README.');
+    process.exit(1);
+  }
+}
+
+const config = configured(() => loadConfig());
+
+const { SESSION_TOKEN_TYPE, createSessionTokens } = require('./lib/session-tokens');
+const { createConsumedTokenStore } = require('./lib/consumed-token-store');
+const { createSessionStore } = require('./lib/session-store');
+const { SessionManager } = require('./lib/sessions');
+const { csrfProtection, generateCsrfToken } = require('./lib/csrf');
+const {
+  requireScopes,
+  requireRoles,
+  requireGroups,
+  requireClaims,
+  sendClaimsChallenge,
+  createGraphGroupResolver,
+} = require('./lib/authorization');
+const { MockIdentityProvider } = require('./lib/mock-idp');
+const { BffAuthClient } = require('./lib/bff');
+const { OboTokenClient, GraphClient, GraphTokenError } = require('./lib/graph');
+const { safeReturnPath } = require('./lib/return-path');
+const { TokenIntrospector, introspectionClientAuth } = require('./lib/introspection');
+const { audit, configureAudit, correlationId, fingerprint } = require('./lib/audit');
+const { createRateLimitStore } = require('./lib/rate-limit-store');
+const { RateLimiter, parseRateLimits } = require('./lib/rate-limit');
+const { registry, jwksCacheRequests, auditMetricsSink, requestMetrics } = require('./lib/metrics');
+const { ReadinessChecks } = require('./lib/health');
+const { createOriginPolicy } = require('./lib/origin-policy');
+const { createAppRegistrations } = require('./lib/registrations');
+
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.PORT;
+
+// Auth outcomes recorded in the audit log are also counted for /metrics
+configureAudit(config);
+audit.addSink(auditMetricsSink);
+
+// Session tokens for the native-to-web handoff, signed with the rotating key set
+const {
+  issuer: sessionTokenIssuer,
+  signingKeys,
+  createSessionToken,
+  verifySessionToken,
+} = createSessionTokens(config);
+
+// Behind a reverse proxy (App Service, Container Apps ingress) req.ip is the
+// proxy's address unless X-Forwarded-For is trusted - rate limits key on req.ip
+// TRUST_PROXY: number of proxy hops, true, or a list of proxy addresses/subnets
+if (config.TRUST_PROXY) {
+  const trustProxy = config.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy === 'true' || trustProxy);
+}
+
+// Mock identity provider mode (MOCK_IDP=true) - offline development and tests
+// Replaces login.microsoftonline.com everywhere with the built-in /mock-idp endpoints
+// (TENANT_ID and CLIENT_ID default to mock-tenant / mock-client-id)
+// (never in production - the config schema refuses it)
+let mockIdp = null;
+if (config.MOCK_IDP) {
+  mockIdp = new MockIdentityProvider({
+    baseUrl: authorityHostFor(config),
+    tenantId: config.TENANT_ID,
+    clientId: config.CLIENT_ID,
+    usersFile: config.MOCK_IDP_USERS_FILE,
+    tokenLifetimeSeconds: config.MOCK_IDP_TOKEN_LIFETIME_SECONDS,
+  });
+  console.warn('⚠️  MOCK_IDP enabled - tokens are issued by the built-in mock identity provider');
+}
+
+// Identity provider host for authority, JWKS and token endpoints
+const authorityHost = authorityHostFor(config);
 
-// JWKS client for token validation
-const client = jwksClient({
-  jwksUri: `https://login.microsoftonline.com/${process.env.TENANT_ID}/discovery/v2.0/keys`,
-  cache: true,
-  rateLimit: true,
+// The app's public URL - origin for CORS/CSRF/cookies and base for redirects
+const appBaseUrl = appBaseUrlFor(config);
+
+// App registrations - the primary one from the top-level settings, plus any
+// APP_REGISTRATIONS entries chosen by host name or path prefix
+// Access token audience defaults to the client ID (v2 tokens) and its App ID URI (v1 tokens)
+const registrations = configured(() => createAppRegistrations({
+  authorityHost,
+  primary: {
+    tenantId: config.TENANT_ID,
+    clientId: config.CLIENT_ID,
+    authority: config.AUTHORITY || `${authorityHost}/${config.TENANT_ID}`,
+    redirectUri: appBaseUrl,
+    scopes: config.API_SCOPES || ['User.Read', 'profile', 'openid'],
+    apiScopes: config.BACKEND_API_SCOPES || [`api://${config.CLIENT_ID}/access_as_user`],
+    clientSecret: config.CLIENT_SECRET,
+    tokenEndpoint: config.OBO_TOKEN_ENDPOINT || `${authorityHost}/${config.TENANT_ID}/oauth2/v2.0/token`,
+    jwksUri: `${authorityHost}/${config.TENANT_ID}/discovery/v2.0/keys`,
+    validation: {
+      issuers: config.TOKEN_ISSUERS || (mockIdp
+        ? [mockIdp.issuer]
+        : [
+            `${authorityHost}/${config.TENANT_ID}/v2.0`,
+            `https://sts.windows.net/${config.TENANT_ID}/`,
+          ]),
+      audiences: config.TOKEN_AUDIENCES || [config.CLIENT_ID, `api://${config.CLIENT_ID}`],
+      allowedTenants: config.ALLOWED_TENANT_IDS || [config.TENANT_ID],
+    },
+  },
+  entries: config.APP_REGISTRATIONS,
+}));
+
+// Origins the app trusts, and the CORS, CSP and cookie settings derived from them
+// (loadConfig() already checked these settings along with the registrations)
+const originPolicy = configured(() => createOriginPolicy({
+  appUrl: appBaseUrl,
+  // The server's authority host, and the ones the browser's MSAL config uses
+  authorityUrls: [authorityHost, ...registrations.all.map(registration => registration.authority)],
+  apiOrigins: config.API_ORIGINS,
+  corsOrigins: config.CORS_ALLOWED_ORIGINS,
+  csrfTrustedOrigins: config.CSRF_TRUSTED_ORIGINS,
+  cookie: {
+    domain: config.COOKIE_DOMAIN,
+    secure: config.COOKIE_SECURE,
+    sameSite: config.COOKIE_SAME_SITE,
+  },
+  production: config.NODE_ENV === 'production',
+}));
+
+// Secret for signing the session ID cookie and encrypting tokens the stores keep
+let sessionSecret = config.SESSION_SECRET;
+if (!sessionSecret) {
+  console.warn('⚠️  SESSION_SECRET not set - using a random secret, sessions will not survive a restart');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// Tracks exchanged session tokens by jti so each can only be used once, and
+// holds the native app's token from session token creation until the exchange
+const consumedTokens = createConsumedTokenStore(config, { secret: sessionSecret });
+
+// Server-side sessions for users arriving from the native app
+const sessions = new SessionManager({
+  store: createSessionStore(config, { secret: sessionSecret }),
+  idleTimeoutMs: config.SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000,
+  absoluteTimeoutMs: config.SESSION_ABSOLUTE_TIMEOUT_HOURS * 60 * 60 * 1000,
+  cookieOptions: originPolicy.cookieOptions,
 });
 
-// Get signing key from JWKS
-function getKey(header, callback) {
-  client.getSigningKey(header.kid, (err, key) => {
-    if (err) {
-      callback(err);
-      return;
-    }
-    const signingKey = key.publicKey || key.rsaPublicKey;
-    callback(null, signingKey);
+// Rate limits per route group, per client IP and per user ("route.by=max/windowSeconds")
+// RATE_LIMITS entries override these defaults; "route.by=off" removes one
+const DEFAULT_RATE_LIMITS = [
+  'session-exchange.ip=10/60', // /api/web/initialize-session, /api/web/launch
+  'native.ip=30/60', // /api/native/*
+  'native.user=10/60',
+  'introspect.ip=120/60', // /api/token/introspect
+  'auth.ip=30/60', // /auth/* (BFF sign-in)
+  'api.ip=300/60', // protected API routes
+  'api.user=120/60',
+].join(',');
+
+const rateLimiter = new RateLimiter({
+  store: createRateLimitStore(config),
+  limits: parseRateLimits(config.RATE_LIMITS.join(','), DEFAULT_RATE_LIMITS),
+  // Failed authentications from one IP lock it out, doubling on each repeat
+  lockout: {
+    failures: config.RATE_LIMIT_LOCKOUT_FAILURES,
+    windowMs: config.RATE_LIMIT_LOCKOUT_WINDOW_MINUTES * 60 * 1000,
+    baseMs: config.RATE_LIMIT_LOCKOUT_SECONDS * 1000,
+    maxMs: config.RATE_LIMIT_LOCKOUT_MAX_MINUTES * 60 * 1000,
+  },
+});
+
+// Backend-for-frontend mode (AUTH_MODE=bff) - the server signs users in with the
+// client secret and keeps their tokens; the browser only gets the session cookie
+// (the config schema requires CLIENT_SECRET in this mode)
+const authMode = config.AUTH_MODE;
+let bff = null;
+if (authMode === 'bff') {
+  bff = new BffAuthClient({
+    authorityHost,
+    tenantId: config.TENANT_ID,
+    clientId: config.CLIENT_ID,
+    clientSecret: config.CLIENT_SECRET,
+    redirectUri: config.BFF_REDIRECT_URI || `${appBaseUrl}/auth/callback`,
+    postLogoutRedirectUri: appBaseUrl,
+    scopes: config.API_SCOPES || ['User.Read'],
+    sessions,
+    verifyIdToken,
+    createSessionData: sessionDataFromClaims,
+    // The login cookie stays SameSite=Lax - it must come back on the redirect from Entra
+    cookieOptions: {
+      secure: originPolicy.cookieOptions.secure,
+      domain: originPolicy.cookieOptions.domain,
+    },
   });
 }
 
-// Middleware to validate JWT token (simplified for demo)
+// Microsoft Graph proxy - callers' tokens are exchanged on-behalf-of for Graph tokens
+// OBO_TOKEN_ENDPOINT and GRAPH_BASE_URL can point at local stubs for tests
+// One OBO client per app registration - a token is only ever exchanged with the
+// client it was issued to; registrations without a secret cannot call Graph
+const graphScopes = config.GRAPH_SCOPES;
+const oboClients = new Map(registrations.all
+  .filter(registration => registration.clientSecret || mockIdp)
+  .map(registration => [registration.name, new OboTokenClient({
+    tokenEndpoint: registration.tokenEndpoint,
+    clientId: registration.clientId,
+    clientSecret: registration.clientSecret,
+  })]));
+// Mock mode uses the mock IdP's Graph stub unless GRAPH_BASE_URL is set
+const graphBaseUrl = config.GRAPH_BASE_URL || (mockIdp ? mockIdp.graphBaseUrl : undefined);
+const graph = new GraphClient({ baseUrl: graphBaseUrl });
+
+// Native apps allowed to hand users off to this web app (Entra client IDs, matched
+// against the caller token's azp/appid). Unset means no native app is allowed.
+const nativeClientIds = config.NATIVE_CLIENT_IDS;
+if (nativeClientIds.length === 0) {
+  console.warn('⚠️  NATIVE_CLIENT_IDS not set - native apps cannot create session tokens');
+}
+
+// Legacy ?session_token= delivery - leaks the token into access logs, proxies and
+// Referer headers; set SESSION_TOKEN_QUERY_ENABLED=false once native apps use the fragment or form_post
+const sessionTokenInQuery = config.SESSION_TOKEN_QUERY_ENABLED;
+
+// Audience of session tokens - the web app allowed to exchange them
+const sessionTokenAudience = config.SESSION_TOKEN_AUDIENCE || config.CLIENT_ID;
+
+// Count JWKS downloads - a lookup that triggered one was a cache miss
+// (approximate when lookups overlap a download, e.g. the readiness check's)
+let jwksFetches = 0;
+
+// JWKS clients for token validation, one per registration tenant
+const jwksClients = new Map();
+function jwksClientFor(registration) {
+  if (!jwksClients.has(registration.jwksUri)) {
+    const client = jwksClient({
+      jwksUri: registration.jwksUri,
+      cache: true,
+      rateLimit: true,
+    });
+    const fetchJwks = client.getKeys.bind(client);
+    client.getKeys = () => {
+      jwksFetches++;
+      return fetchJwks();
+    };
+    jwksClients.set(registration.jwksUri, client);
+  }
+  return jwksClients.get(registration.jwksUri);
+}
+
+// Signing key lookup against a registration's JWKS
+function keyResolver(registration) {
+  const client = jwksClientFor(registration);
+  return (header, callback) => {
+    const fetchesBefore = jwksFetches;
+    client.getSigningKey(header.kid, (err, key) => {
+      jwksCacheRequests.inc({ result: jwksFetches > fetchesBefore ? 'miss' : 'hit' });
+      if (err) {
+        callback(err);
+        return;
+      }
+      const signingKey = key.publicKey || key.rsaPublicKey;
+      callback(null, signingKey);
+    });
+  };
+}
+
+// Allowed clock skew for Entra token exp/nbf checks
+const clockToleranceSeconds = config.TOKEN_CLOCK_SKEW_SECONDS;
+
+// Verify an Entra-issued JWT: RS256 signature against the registration's tenant
+// JWKS, issuer, audience, exp/nbf (with clock skew) and tenant ID.
+// Resolves with the token payload, rejects with a descriptive error.
+function verifyEntraJwt(token, registration, audiences = registration.validation.audiences) {
+  const { issuers, allowedTenants } = registration.validation;
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, keyResolver(registration), {
+      algorithms: ['RS256'],
+      issuer: issuers,
+      audience: audiences,
+      clockTolerance: clockToleranceSeconds,
+    }, (err, payload) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      if (!allowedTenants.includes(payload.tid)) {
+        reject(new jwt.JsonWebTokenError(`tenant not allowed: ${payload.tid}`));
+        return;
+      }
+      resolve(payload);
+    });
+  });
+}
+
+// Access tokens are checked against the registration serving the request only -
+// never one chosen from the token's own claims, so tenants stay separate
+function verifyAccessToken(token, registration = registrations.primary) {
+  return verifyEntraJwt(token, registration);
+}
+
+// App registration serving a request - by host name and the path as requested
+// (before the path prefix of API calls is stripped, see below)
+function registrationFor(req) {
+  return registrations.match({ host: req.hostname, path: req.originalUrl.split('?')[0] });
+}
+
+// ID tokens (BFF sign-in) are always issued to the primary registration's client ID
+function verifyIdToken(token) {
+  return verifyEntraJwt(token, registrations.primary, [config.CLIENT_ID]);
+}
+
+// Token introspection (RFC 7662) for native apps and other services - same keys
+// and rules as the API's own validation. Services authenticate with a client ID
+// and secret from INTROSPECTION_CLIENTS ("client-id:secret" pairs); native apps
+// (public clients) with their access token for this API
+const introspectionClients = new Map();
+for (const entry of config.INTROSPECTION_CLIENTS) {
+  const separator = entry.indexOf(':');
+  if (separator <= 0) {
+    console.warn('⚠️  Ignoring INTROSPECTION_CLIENTS entry without "client-id:secret"');
+    continue;
+  }
+  introspectionClients.set(entry.substring(0, separator), entry.substring(separator + 1));
+}
+
+const introspector = new TokenIntrospector({
+  // Rules of the registration serving the introspection request
+  entra: ({ registration }) => {
+    const getKey = keyResolver(registration);
+    return {
+      getSigningKey: header => new Promise((resolve, reject) => {
+        getKey(header, (err, key) => (err ? reject(err) : resolve(key)));
+      }),
+      ...registration.validation,
+      clockToleranceSeconds,
+    };
+  },
+  session: {
+    getSigningKey: kid => signingKeys.getVerificationKey(kid),
+    type: SESSION_TOKEN_TYPE,
+    issuers: [sessionTokenIssuer],
+    audiences: [sessionTokenAudience],
+    allowedClients: nativeClientIds,
+  },
+});
+
+const introspectionAuth = introspectionClientAuth({
+  clients: introspectionClients,
+  bearerClientIds: nativeClientIds,
+  verifyAccessToken: (token, req) => verifyAccessToken(token, registrationFor(req)),
+});
+
+// Authorization settings for protected routes
+const requiredApiScopes = config.REQUIRED_API_SCOPES;
+const adminAppRole = config.ADMIN_APP_ROLE;
+const adminGroupIds = config.ADMIN_GROUP_IDS;
+
+// Group overage lookups go to Graph app-only, in the tenant and with the client
+// secret of the registration serving the request - one resolver per registration,
+// none for registrations without a secret (overage users are then refused)
+const groupResolvers = new Map(registrations.all
+  .filter(registration => registration.clientSecret)
+  .map(registration => [registration.name, createGraphGroupResolver({
+    tokenEndpoint: registration.tokenEndpoint,
+    graphBaseUrl,
+    graphScope: `${config.GRAPH_RESOURCE.replace(/\/$/, '')}/.default`,
+    tenantId: registration.tenantId,
+    clientId: registration.clientId,
+    clientSecret: registration.clientSecret,
+  })]));
+
+// Admin access is by group membership when ADMIN_GROUP_IDS is set, otherwise by app role
+const requireAdmin = adminGroupIds.length > 0
+  ? requireGroups(adminGroupIds, {
+      resolveGroups: (user, req) => {
+        const resolver = groupResolvers.get(registrationFor(req).name);
+        return resolver ? resolver(user) : null;
+      },
+    })
+  : requireRoles(adminAppRole);
+
+// Step-up for admin routes: Conditional Access authentication context IDs (acrs)
+// and/or authentication methods (amr, e.g. mfa). Tokens without them get a
+// claims challenge; nothing is required while both are unset
+const authorizationUri = `${authorityHost}/${config.TENANT_ID}/oauth2/v2.0/authorize`;
+const requireAdminStepUp = requireClaims({
+  acrs: config.ADMIN_REQUIRED_ACRS,
+  amr: config.ADMIN_REQUIRED_AMR,
+}, { authorizationUri });
+
+// Normalized user shape shared by bearer-token and session-cookie requests
+function userFromClaims(claims) {
+  return {
+    oid: claims.oid,
+    tid: claims.tid,
+    name: claims.name,
+    username: claims.preferred_username || claims.upn,
+    email: claims.email || claims.preferred_username,
+    roles: claims.roles || [],
+    groups: claims.groups || [],
+    // Entra drops the groups claim when the user is in too many groups
+    groupsOverage: Boolean(claims.hasgroups || (claims._claim_names && claims._claim_names.groups)),
+  };
+}
+
+function userFromSession(session) {
+  return {
+    oid: session.userId,
+    tid: session.tid,
+    name: session.name,
+    username: session.username || session.email,
+    email: session.email,
+    roles: session.roles || [],
+    groups: session.groups || [],
+    groupsOverage: Boolean(session.groupsOverage),
+  };
+}
+
+// Hints for MSAL ssoSilent, so a native-app session can be bridged into a real
+// MSAL account in the browser (sid is preferred, login_hint is the fallback)
+function msalHintsFromSession(session) {
+  return {
+    loginHint: session.loginHint || session.username,
+    sid: session.sid,
+  };
+}
+
+// Server session contents for a signed-in user - from session token claims
+// (native handoff) or ID token claims (BFF sign-in), which share claim names
+function sessionDataFromClaims(claims) {
+  return {
+    userId: claims.oid || claims.sub,
+    email: claims.email || claims.preferred_username,
+    username: claims.preferred_username || claims.email,
+    name: claims.name,
+    tid: claims.tid,
+    sid: claims.sid,
+    loginHint: claims.login_hint,
+    roles: claims.roles,
+    groups: claims.groups,
+    groupsOverage: Boolean(claims.hasgroups || (claims._claim_names && claims._claim_names.groups)),
+    // Authentication strength at sign-in - checked by requireClaims for cookie sessions
+    acrs: claims.acrs,
+    amr: claims.amr,
+    acr: claims.acr,
+    csrfToken: generateCsrfToken(),
+    authenticatedAt: Date.now(),
+  };
+}
+
+// Verify the bearer token and populate req.user / req.auth
+// Sends the 401 response and resolves false when the token is rejected
+async function authenticateBearer(req, res) {
+  const token = req.headers.authorization.substring(7);
+
+  try {
+    const payload = await verifyAccessToken(token, registrationFor(req));
+
+    audit.log('token.accepted', {
+      userId: payload.oid || payload.sub,
+      username: payload.preferred_username || payload.upn,
+      clientId: payload.azp || payload.appid,
+      tid: payload.tid,
+    }, req);
+
+    req.user = userFromClaims(payload);
+    req.auth = { method: 'bearer', claims: payload, token };
+    return true;
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      audit.log('token.rejected', { reason: 'expired' }, req);
+      res.status(401).json({ error: 'Token expired' });
+      return false;
+    }
+    if (error.name === 'NotBeforeError') {
+      audit.log('token.rejected', { reason: 'not_yet_valid' }, req);
+      res.status(401).json({ error: 'Token not yet valid' });
+      return false;
+    }
+    // Forged or foreign tokens count towards the rate limiter's failure lockout;
+    // expired ones do not - clients refresh those
+    res.locals.authFailure = true;
+    audit.log('token.rejected', { reason: 'invalid', detail: error.message }, req);
+    res.status(401).json({ error: 'Token validation failed', details: error.message });
+    return false;
+  }
+}
+
+// Middleware to validate JWT bearer tokens (bearer only - e.g. native app calls)
 async function validateToken(req, res, next) {
   const authHeader = req.headers.authorization;
   
@@ -39,36 +517,60 @@ async function validateToken(req, res, next) {
     return res.status(401).json({ error: 'No token provided' });
   }
 
-  const token = authHeader.substring(7);
+  if (await authenticateBearer(req, res)) {
+    next();
+  }
+}
 
-  try {
-    // For demo purposes: decode without verification (token is from Microsoft)
-    // In production, you would validate the signature against your API's app registration
-    const decoded = jwt.decode(token, { complete: true });
-    
-    if (!decoded) {
-      return res.status(401).json({ error: 'Invalid token format' });
-    }
+// Middleware for protected API routes - accepts a bearer token or, when no
+// Authorization header is sent, the server session from the native app handoff
+async function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
 
-    // Basic validation
-    const payload = decoded.payload;
-    
-    // Check expiration
-    if (payload.exp && payload.exp < Date.now() / 1000) {
-      return res.status(401).json({ error: 'Token expired' });
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    if (await authenticateBearer(req, res)) {
+      next();
     }
+    return;
+  }
 
-    // For demo: accept tokens from Microsoft (aud could be Graph API or our client)
-    console.log('Token received - Issuer:', payload.iss, 'Audience:', payload.aud);
-    
-    // Attach decoded payload to request
-    req.user = payload;
-    next();
-  } catch (error) {
-    console.error('Token validation exception:', error);
-    res.status(401).json({ error: 'Token validation failed', details: error.message });
+  if (req.session) {
+    // A session only authenticates calls to the registration it was signed in through
+    if ((req.session.registration || registrations.primary.name) !== registrationFor(req).name) {
+      return res.status(401).json({ error: 'Session belongs to another app registration', code: 'registration_mismatch' });
+    }
+    req.user = userFromSession(req.session);
+    req.auth = { method: 'session', session: req.session };
+    return next();
   }
+
+  res.status(401).json({ error: 'No token or session provided' });
+}
+
+// Rate-limited authentication: the IP limit (and failure lockout) runs first so
+// token probing is throttled, the per-user limit once the caller is known
+function limitedAuth(route, authMiddleware) {
+  return [
+    rateLimiter.limit(route, { by: 'ip' }),
+    authMiddleware,
+    rateLimiter.limit(route, { by: 'user' }),
+  ];
 }
+const protectedApi = limitedAuth('api', authenticate);
+const nativeApi = limitedAuth('native', validateToken);
+const limitSessionExchange = rateLimiter.limit('session-exchange', { by: 'ip' });
+
+// API calls from an app served under a registration's path prefix go to
+// <prefix>/api/... (see apiUrl in public/app.js), so the registration serving
+// them is known from the URL. The prefix is stripped for routing.
+const prefixedRegistrations = registrations.additional.filter(registration => registration.pathPrefix);
+app.use((req, res, next) => {
+  const registration = prefixedRegistrations.find(({ pathPrefix }) => req.url.startsWith(`${pathPrefix}/api/`));
+  if (registration) {
+    req.url = req.url.substring(registration.pathPrefix.length);
+  }
+  next();
+});
 
 // Security middleware
 app.use(helmet({
@@ -77,15 +579,65 @@ app.use(helmet({
       defaultSrc: ["'self'"],
       styleSrc: ["'self'", "'unsafe-inline'"],
       scriptSrc: ["'self'"],
-      connectSrc: ["'self'", "https://login.microsoftonline.com", "https://*.msauth.net", "https://graph.microsoft.com"],
-      frameSrc: ["https://login.microsoftonline.com"],
+      connectSrc: originPolicy.cspDirectives.connectSrc,
+      frameSrc: originPolicy.cspDirectives.frameSrc,
     },
   },
 }));
 
-app.use(cors());
+// Correlation ID for every request - echoed in X-Correlation-ID and carried by audit events
+app.use(correlationId());
+app.use(requestMetrics());
+
+registry.gauge({
+  name: 'active_sessions',
+  help: 'Unexpired server sessions',
+  collect: () => sessions.store.count(),
+});
+
+// Dependencies that must be reachable before this instance takes traffic
+const readiness = new ReadinessChecks({
+  checks: [
+    { name: 'signing_keys', check: () => signingKeys.check() },
+    // Every registration's tenant keys - cached so frequent probes do not each download them
+    {
+      name: 'jwks',
+      check: () => Promise.all(registrations.all.map(registration => jwksClientFor(registration).getKeys())),
+      cacheMs: 60 * 1000,
+    },
+    { name: 'session_store', check: () => sessions.store.ping() },
+  ],
+});
+
+// Liveness - the process is up; restart it if this stops answering
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Readiness - take the instance out of the load balancer while a dependency is down
+app.get('/health/ready', async (req, res) => {
+  const { ready, checks } = await readiness.run();
+  res.set('Cache-Control', 'no-store');
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+});
+
+// Prometheus scrape endpoint - set METRICS_TOKEN to require "Authorization: Bearer <token>"
+app.get('/metrics', async (req, res) => {
+  if (config.METRICS_TOKEN) {
+    const expected = Buffer.from(`Bearer ${config.METRICS_TOKEN}`);
+    const actual = Buffer.from(req.headers.authorization || '');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return res.status(401).json({ error: 'Metrics token required' });
+    }
+  }
+  res.type('text/plain; version=0.0.4').send(await registry.render());
+});
+
+// Credentialed CORS for the allowlisted origins only
+app.use(cors(originPolicy.corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser(sessionSecret));
 
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
@@ -93,72 +645,391 @@ app.use(express.static(path.join(__dirname, 'public')));
 // Serve MSAL library from node_modules
 app.use('/libs/msal', express.static(path.join(__dirname, 'node_modules/@azure/msal-browser/lib')));
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'healthy', 
+// Mock identity provider endpoints (MOCK_IDP=true only)
+if (mockIdp) {
+  app.use('/mock-idp', mockIdp.router());
+}
+
+// Load the server-side session (req.session) for everything below - static files skip it
+app.use(sessions.middleware({ passivePaths: ['/api/web/session'] }));
+
+// CSRF protection for cookie-authenticated, state-changing requests
+app.use(csrfProtection({
+  trustedOrigins: originPolicy.trustedOrigins,
+  // The session exchanges replace any existing session, so they need no CSRF token;
+  // the origin check still stops other sites signing the browser in as someone else
+  tokenExemptPaths: ['/api/web/initialize-session', '/api/web/launch'],
+  // Form posts from a native app's WebView carry no Origin, or a "null" one
+  nullOriginPaths: ['/api/web/launch'],
+  // Introspection requires client authentication, never the session cookie
+  exemptPaths: ['/api/token/introspect'],
+}));
+
+// Health check endpoint - readiness plus a summary of the configuration
+app.get('/api/health', async (req, res) => {
+  const { ready, checks } = await readiness.run();
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'healthy' : 'unhealthy',
     timestamp: new Date().toISOString(),
-    tenantId: process.env.TENANT_ID ? '***configured***' : 'missing',
-    clientId: process.env.CLIENT_ID ? '***configured***' : 'missing',
+    tenantId: '***configured***',
+    clientId: '***configured***',
+    registrations: registrations.all.length,
+    checks,
   });
 });
 
+// Public keys for session tokens issued by this server - other services verify by kid
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(signingKeys.jwks());
+});
+
 // Configuration endpoint for frontend
+// MSAL settings of the app registration for the page's host and path (?path=)
 app.get('/api/config', (req, res) => {
+  const requestedPath = typeof req.query.path === 'string' ? req.query.path : '/';
+  const registration = registrations.match({ host: req.hostname, path: requestedPath });
+  const basePath = registration.pathPrefix || '';
   res.json({
-    clientId: process.env.CLIENT_ID,
-    authority: process.env.AUTHORITY || `https://login.microsoftonline.com/${process.env.TENANT_ID}`,
-    redirectUri: process.env.REDIRECT_URI || `http://localhost:${PORT}`,
-    scopes: process.env.API_SCOPES 
-      ? process.env.API_SCOPES.split(',').map(s => s.trim())
-      : ['User.Read', 'profile', 'openid'],
+    registration: registration.name,
+    clientId: registration.clientId,
+    authority: registration.authority,
+    redirectUri: registration.redirectUri || `${req.protocol}://${req.get('host')}${basePath}`,
+    // Path the app is served under - client-side routes live below it
+    basePath,
+    authMode,
+    // Whether the app may still read session_token from the query string (fragment always works)
+    sessionTokenInQuery,
+    scopes: registration.scopes,
+    // Scopes for calling this app's own backend API (tokens validated by validateToken)
+    apiScopes: registration.apiScopes,
+    // Mock mode: the frontend signs in test users without MSAL (MSAL requires an https authority)
+    mockIdp: mockIdp
+      ? { tokenEndpoint: `/mock-idp/${config.TENANT_ID}/oauth2/v2.0/token`, usersEndpoint: '/mock-idp/users' }
+      : undefined,
   });
 });
 
-// Protected API endpoint - requires valid token
-app.get('/api/user/profile', validateToken, (req, res) => {
+// Protected API endpoint - requires valid token or session
+app.get('/api/user/profile', protectedApi, (req, res) => {
   res.json({
     message: 'Successfully authenticated!',
+    authMethod: req.auth.method,
+    // Native app that handed this session off (native-session users only)
+    nativeClientId: req.session ? req.session.nativeClientId : undefined,
+    msalHints: req.auth.method === 'session' ? msalHintsFromSession(req.auth.session) : undefined,
     user: {
       name: req.user.name || 'Unknown',
-      username: req.user.preferred_username || req.user.upn || 'Unknown',
-      email: req.user.email || req.user.preferred_username || 'Unknown',
+      username: req.user.username || 'Unknown',
+      email: req.user.email || 'Unknown',
       oid: req.user.oid,
       tid: req.user.tid,
     },
-    tokenClaims: req.user,
+    tokenClaims: req.auth.claims,
   });
 });
 
 // Protected API endpoint - demo data
-app.get('/api/data', validateToken, (req, res) => {
+const demoRecords = [
+  { id: 1, item: 'Demo Item 1', status: 'Active' },
+  { id: 2, item: 'Demo Item 2', status: 'Pending' },
+  { id: 3, item: 'Demo Item 3', status: 'Completed' },
+];
+
+app.get('/api/data', protectedApi, requireScopes(...requiredApiScopes), (req, res) => {
   res.json({
     message: 'This is protected data from the backend',
     timestamp: new Date().toISOString(),
-    user: req.user.preferred_username || req.user.name,
-    data: [
-      { id: 1, item: 'Demo Item 1', status: 'Active' },
-      { id: 2, item: 'Demo Item 2', status: 'Pending' },
-      { id: 3, item: 'Demo Item 3', status: 'Completed' },
-    ],
+    user: req.user.username || req.user.name,
+    data: demoRecords,
+  });
+});
+
+// Protected API endpoint - a single record (the target of /records/:id deep links)
+app.get('/api/data/:id', protectedApi, requireScopes(...requiredApiScopes), (req, res) => {
+  const record = demoRecords.find(r => String(r.id) === req.params.id);
+  if (!record) {
+    return res.status(404).json({ error: 'Record not found' });
+  }
+  res.json({
+    timestamp: new Date().toISOString(),
+    user: req.user.username || req.user.name,
+    record,
   });
 });
 
-// Token validation endpoint (for testing)
-app.post('/api/validate-token', validateToken, (req, res) => {
+// Protected API endpoint - admin-only data (admin app role or admin group)
+app.get('/api/admin/data', protectedApi, requireScopes(...requiredApiScopes), requireAdmin, requireAdminStepUp, (req, res) => {
   res.json({
-    valid: true,
-    message: 'Token is valid',
-    user: {
-      name: req.user.name,
-      email: req.user.preferred_username || req.user.email,
-    },
+    message: 'This is admin-only data from the backend',
+    timestamp: new Date().toISOString(),
+    user: req.user.username || req.user.name,
+    roles: req.user.roles,
+    data: [
+      { id: 1, setting: 'Session lifetime', value: '24 hours' },
+      { id: 2, setting: 'Maintenance mode', value: 'Off' },
+    ],
   });
 });
 
+// Graph access token for the caller:
+// - bearer requests: on-behalf-of exchange of the caller's API token
+// - BFF sessions: the server-held token, refreshed as needed
+// - native-app sessions: on-behalf-of exchange of the token captured at handoff
+async function graphTokenFor(req) {
+  if (req.auth.method === 'session' && req.session.tokens) {
+    return bff.getAccessToken(req.session);
+  }
+
+  const registration = registrationFor(req);
+  const obo = oboClients.get(registration.name);
+  if (!obo) {
+    throw new GraphTokenError(`Graph access requires a client secret for app registration ${registration.name}`,
+      { status: 501, code: 'graph_not_configured' });
+  }
+
+  let assertion = req.auth.token;
+  if (req.auth.method === 'session') {
+    const handoff = req.session.assertion;
+    if (!handoff || handoff.expiresAt <= Date.now()) {
+      throw new GraphTokenError('Session has no valid upstream token', { status: 401, code: 'upstream_token_expired' });
+    }
+    assertion = handoff.token;
+  }
+
+  return obo.getToken({ assertion, scopes: graphScopes, userKey: `${registration.name}:${req.user.tid}:${req.user.oid}` });
+}
+
+// Send Graph proxy failures - token problems keep their status and code, Graph errors become 502
+function sendGraphError(res, error) {
+  if (error instanceof GraphTokenError) {
+    if (error.upstream) {
+      console.error('Graph token error:', error.upstream.error, error.upstream.error_description);
+    }
+    // Conditional Access on Graph needs more from the user's sign-in - pass the
+    // challenge on so the client re-acquires its token for this API with those claims
+    if (error.upstream && error.upstream.claims) {
+      return sendClaimsChallenge(res, {
+        description: 'Microsoft Graph requires additional authentication',
+        claimsRequest: error.upstream.claims,
+        authorizationUri,
+      });
+    }
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  if (error.response && error.response.status === 404) {
+    return res.status(404).json({ error: 'Not found in Microsoft Graph' });
+  }
+  console.error('Graph proxy error:', error.response ? error.response.status : error.message);
+  res.status(502).json({ error: 'Microsoft Graph request failed' });
+}
+
+// Microsoft Graph proxy - signed-in user's profile
+app.get('/api/graph/me', protectedApi, async (req, res) => {
+  try {
+    const token = await graphTokenFor(req);
+    const response = await graph.get('/me', token);
+    res.json(response.data);
+  } catch (error) {
+    sendGraphError(res, error);
+  }
+});
+
+// Microsoft Graph proxy - signed-in user's photo (image bytes)
+app.get('/api/graph/photo', protectedApi, async (req, res) => {
+  try {
+    const token = await graphTokenFor(req);
+    const size = /^\d+x\d+$/.test(req.query.size || '') ? `photos/${req.query.size}` : 'photo';
+    const response = await graph.get(`/me/${size}/$value`, token, { responseType: 'arraybuffer' });
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(response.headers['content-type'] || 'image/jpeg').send(Buffer.from(response.data));
+  } catch (error) {
+    sendGraphError(res, error);
+  }
+});
+
+// Token introspection endpoint (RFC 7662) - form or JSON body: token, token_type_hint
+// Inactive tokens come back with the reason and every failed check
+app.post('/api/token/introspect', rateLimiter.limit('introspect', { by: 'ip' }), introspectionAuth, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (!req.body.token) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'token is required' });
+  }
+
+  try {
+    const result = await introspector.introspect(req.body.token, {
+      hint: req.body.token_type_hint,
+      registration: registrationFor(req),
+    });
+    audit.log('introspection.performed', {
+      clientId: req.introspectionClient,
+      active: result.active,
+      tokenType: result.token_type,
+      reason: result.reason,
+    }, req);
+    res.json(result);
+  } catch (error) {
+    console.error('Token introspection error:', error);
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// BFF sign-in routes (AUTH_MODE=bff only)
+if (bff) {
+  app.use('/auth', rateLimiter.limit('auth', { by: 'ip' }), bff.router());
+}
+
+// CSRF token for the current session - sent back in the X-CSRF-Token header on state-changing requests
+app.get('/api/web/csrf-token', (req, res) => {
+  if (!req.session) {
+    return res.status(401).json({ error: 'No session' });
+  }
+  res.json({ csrfToken: req.session.csrfToken });
+});
+
+// Cookie-session expiry for the UI countdown (times in ms; serverTime lets the
+// browser correct for clock skew). Polling this does not keep the session alive
+function sessionStatus(session) {
+  return {
+    authenticated: true,
+    expiresAt: session.expiresAt,
+    absoluteExpiresAt: session.absoluteExpiresAt,
+    // False once the idle window reaches the absolute timeout
+    extendable: session.expiresAt < session.absoluteExpiresAt,
+    serverTime: Date.now(),
+  };
+}
+
+app.get('/api/web/session', (req, res) => {
+  if (!req.session) {
+    return res.json({ authenticated: false, serverTime: Date.now() });
+  }
+  res.json(sessionStatus(req.session));
+});
+
+// "Stay signed in" - slides the idle window (CSRF token required)
+app.post('/api/web/session', async (req, res) => {
+  if (!req.session) {
+    return res.status(401).json({ error: 'No session' });
+  }
+  try {
+    const session = await sessions.touch(req.session);
+    res.json(sessionStatus(session));
+  } catch (error) {
+    console.error('Session extend error:', error);
+    res.status(500).json({ error: 'Failed to extend session' });
+  }
+});
+
+// Session token creation endpoint - called by the native app before launching Chrome Custom Tabs
+// Requires the Entra access token the native app acquired via MSAL Android
+app.post('/api/native/create-session-token', nativeApi, async (req, res) => {
+  const nativeClientId = req.auth.claims.azp || req.auth.claims.appid;
+  if (!nativeClientIds.includes(nativeClientId)) {
+    audit.log('session_token.refused', { reason: 'native_client_not_allowed', clientId: nativeClientId }, req);
+    return res.status(403).json({
+      error: 'Calling application is not allowed to create session tokens',
+      code: 'native_client_not_allowed',
+    });
+  }
+
+  try {
+    const sessionToken = createSessionToken(req.auth.claims, { audience: sessionTokenAudience });
+
+    // Keep the caller's token (server-side only) until the session token is exchanged or
+    // expires, so native-session users can still get Graph tokens on-behalf-of
+    await consumedTokens.saveAssertion(sessionToken.jti, {
+      token: req.auth.token,
+      expiresAt: req.auth.claims.exp * 1000,
+    }, sessionToken.expiresAt);
+
+    audit.log('session_token.issued', {
+      userId: req.user.oid,
+      username: req.user.username,
+      clientId: nativeClientId,
+      tokenId: sessionToken.jti,
+    }, req);
+
+    res.json({
+      session_token: sessionToken.token,
+      expires_at: sessionToken.expiresAt,
+      expires_in: sessionToken.expiresIn,
+    });
+  } catch (error) {
+    console.error('Session token creation error:', error);
+    res.status(500).json({ error: 'Failed to create session token' });
+  }
+});
+
+// Validate a session token and start a server session for its user
+// Resolves { session, payload }, or { error: { status, body } } when the token is rejected
+async function exchangeSessionToken(req, res, sessionToken) {
+  let payload;
+  const reject = (body, detail) => {
+    // Counts towards the rate limiter's failure lockout
+    res.locals.authFailure = true;
+    audit.log('session_token.rejected', {
+      reason: body.code,
+      detail,
+      tokenId: payload && payload.jti,
+      clientId: payload && payload.azp,
+    }, req);
+    return { error: { status: 401, body } };
+  };
+
+  // Verify the session token was minted by /api/native/create-session-token
+  try {
+    payload = verifySessionToken(sessionToken, { audience: sessionTokenAudience });
+  } catch (verifyError) {
+    if (verifyError.name === 'TokenExpiredError') {
+      return reject({ error: 'Session token expired', code: 'session_token_expired' });
+    }
+    return reject(
+      { error: 'Invalid session token', code: 'session_token_invalid', details: verifyError.message },
+      verifyError.message,
+    );
+  }
+
+  // Re-check the requesting native app - the allowlist may have changed since the token was minted
+  if (!nativeClientIds.includes(payload.azp)) {
+    return reject({ error: 'Session token was issued to a native app that is not allowed', code: 'native_client_not_allowed' });
+  }
+
+  // Enforce single use - a replayed token (e.g. leaked from a URL) is rejected
+  if (!payload.jti) {
+    return reject({ error: 'Session token missing jti', code: 'session_token_invalid' });
+  }
+  const firstUse = await consumedTokens.markConsumed(payload.jti, payload.exp * 1000);
+  if (!firstUse) {
+    return reject({ error: 'Session token already used', code: 'session_token_reused' });
+  }
+
+  // Create a server-side session - the cookie only carries a signed, opaque ID
+  // An existing session on this browser is replaced, rotating the ID
+  const assertion = await consumedTokens.takeAssertion(payload.jti);
+  const session = await sessions.create(req, res, {
+    ...sessionDataFromClaims(payload),
+    registration: registrationFor(req).name,
+    nativeClientId: payload.azp,
+    assertion,
+  });
+
+  audit.log('session_token.exchanged', { tokenId: payload.jti, clientId: payload.azp }, req);
+  audit.log('session.created', {
+    signInMethod: 'native',
+    sessionId: fingerprint(session.id),
+    userId: session.userId,
+    username: session.username,
+    name: session.name,
+  }, req);
+  return { session, payload };
+}
+
 // Session initialization endpoint - exchanges session token for authenticated session
 // Called by web app when launched from native app via Chrome Custom Tabs
-app.post('/api/web/initialize-session', async (req, res) => {
+// (token read from the URL fragment, or the query string when allowed)
+app.post('/api/web/initialize-session', limitSessionExchange, async (req, res) => {
   const { sessionToken } = req.body;
   
   if (!sessionToken) {
@@ -166,83 +1037,154 @@ app.post('/api/web/initialize-session', async (req, res) => {
   }
 
   try {
-    // Call backend service to validate and exchange session token
-    // In a real implementation, this would call your backend API
-    // For PoC, we'll validate the token format and simulate success
-    
-    // TODO: Replace with actual backend call
-    // const backendResponse = await fetch('https://your-backend/api/validate-session-token', {
-    //   method: 'POST',
-    //   headers: { 'Content-Type': 'application/json' },
-    //   body: JSON.stringify({ sessionToken })
-    // });
-    
-    // For PoC: Decode the session token (assuming it's a JWT with user info)
-    const decoded = jwt.decode(sessionToken, { complete: true });
-    
-    if (!decoded || !decoded.payload) {
-      return res.status(401).json({ error: 'Invalid session token format' });
+    const { session, payload, error } = await exchangeSessionToken(req, res, sessionToken);
+    if (error) {
+      return res.status(error.status).json(error.body);
     }
 
-    const payload = decoded.payload;
-    
-    // Validate token hasn't expired
-    if (payload.exp && payload.exp < Date.now() / 1000) {
-      return res.status(401).json({ error: 'Session token expired' });
-    }
-
-    // Validate token type (should be marked as session initialization token)
-    if (payload.type !== 'session_init') {
-      return res.status(401).json({ error: 'Invalid token type' });
-    }
-
-    // In production, also check:
-    // - Token hasn't been used before (single-use)
-    // - Token is from your backend (verify signature)
-    // - Token audience matches this web app
-
-    // Create session for the user
-    // For PoC, we'll set a simple session cookie
-    // In production, use proper session management
-    const sessionData = {
-      userId: payload.sub || payload.oid,
-      email: payload.email || payload.preferred_username,
-      name: payload.name,
-      authenticatedAt: Date.now(),
-    };
-
-    // Set HTTP-only session cookie
-    res.cookie('session', JSON.stringify(sessionData), {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-      sameSite: 'lax',
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    });
-
     // Return success with user info
     res.json({
       success: true,
       message: 'Session initialized successfully',
+      csrfToken: session.csrfToken,
+      // For ssoSilent in the browser - see msalHintsFromSession
+      ...msalHintsFromSession(session),
       user: {
         name: payload.name,
         email: payload.email || payload.preferred_username,
         username: payload.preferred_username || payload.email,
       },
     });
-
-    console.log('Session initialized for user:', payload.name || payload.email);
-    
   } catch (error) {
     console.error('Session initialization error:', error);
     res.status(401).json({ 
       error: 'Session initialization failed',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      details: config.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
 });
 
-// Serve main HTML page
-app.get('/', (req, res) => {
+// form_post launch endpoint - the native app POSTs session_token as a form field
+// (e.g. WebView postUrl) so the token never appears in a URL. Sets the session
+// and redirects to return_to (a same-origin path, default /); failures land on
+// the same page with ?session_error=<code> so the user can sign in and stay there
+app.post('/api/web/launch', limitSessionExchange, async (req, res) => {
+  const sessionToken = req.body.session_token;
+  const returnTo = safeReturnPath(req.body.return_to) || '/';
+
+  const redirectWithError = (code) => {
+    const url = new URL(returnTo, appBaseUrl);
+    url.searchParams.set('session_error', code);
+    res.redirect(303, url.pathname + url.search + url.hash);
+  };
+
+  if (!sessionToken) {
+    return redirectWithError('session_token_missing');
+  }
+
+  try {
+    const { error } = await exchangeSessionToken(req, res, sessionToken);
+    if (error) {
+      return redirectWithError(error.body.code);
+    }
+    res.redirect(303, returnTo);
+  } catch (error) {
+    console.error('Session launch error:', error);
+    redirectWithError('session_initialization_failed');
+  }
+});
+
+// Logout endpoint - ends the web session (browser sign-out button)
+app.post('/api/web/logout', async (req, res) => {
+  try {
+    // BFF sessions were signed in at Entra by the server, so the browser must visit the end-session endpoint too
+    const logoutUrl = bff && req.session && req.session.tokens ? bff.logoutUrl() : undefined;
+    if (req.session) {
+      audit.log('session.logout', {
+        sessionId: fingerprint(req.session.id),
+        userId: req.session.userId,
+        username: req.session.username,
+      }, req);
+    }
+    await sessions.destroy(req, res);
+    res.json({ success: true, message: 'Signed out', logoutUrl });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Front-channel logout URL - Entra loads this in a hidden iframe when the user
+// signs out elsewhere, passing the Entra session ID (sid)
+// Register as "Front-channel logout URL" on the app registration
+app.get('/api/web/front-channel-logout', async (req, res) => {
+  const { sid, iss } = req.query;
+
+  // Entra frames this page, so allow the identity provider as the framing origin
+  res.removeHeader('X-Frame-Options');
+  res.set('Content-Security-Policy', `frame-ancestors ${originPolicy.authorityOrigins.join(' ')}`);
+  res.set('Cache-Control', 'no-store');
+
+  try {
+    if (iss && !registrations.all.some(registration => registration.validation.issuers.includes(iss))) {
+      audit.log('session.revoke_rejected', { reason: 'unknown_issuer', issuer: iss, trigger: 'front_channel_logout' }, req);
+      return res.status(400).send('Unknown issuer');
+    }
+
+    if (sid) {
+      const count = await sessions.destroyBy({ sid });
+      audit.log('session.revoked', { trigger: 'front_channel_logout', sid: fingerprint(sid), count }, req);
+    }
+    // The cookie is only sent if the browser allows it in the frame - clear it when it is
+    if (req.session) {
+      await sessions.destroy(req, res);
+    }
+
+    res.status(200).send('');
+  } catch (error) {
+    console.error('Front-channel logout error:', error);
+    res.status(500).send('');
+  }
+});
+
+// Native sign-out - the hub app calls this with the user's access token when
+// it signs out, ending the web sessions the user opened from that app in Custom
+// Tabs. Sessions from other native apps and BFF/browser sign-ins are left alone.
+app.post('/api/native/logout', nativeApi, async (req, res) => {
+  try {
+    const userId = req.auth.claims.oid || req.auth.claims.sub;
+    const nativeClientId = req.auth.claims.azp || req.auth.claims.appid;
+    if (!nativeClientIds.includes(nativeClientId)) {
+      return res.status(403).json({
+        error: 'Calling application is not an allowed native app',
+        code: 'native_client_not_allowed',
+      });
+    }
+    const count = await sessions.destroyBy({ userId, nativeClientId });
+    audit.log('session.revoked', {
+      trigger: 'native_logout',
+      userId,
+      username: req.user.username,
+      clientId: nativeClientId,
+      count,
+    }, req);
+    res.json({ success: true, sessionsEnded: count });
+  } catch (error) {
+    console.error('Native logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// Serve main HTML page for the client-side routes in public/app.js, so deep links
+// (e.g. /records/2 opened by the native app) load the app instead of a 404
+// Registrations with a path prefix serve the same routes below it (/partner/records/2)
+const pageRoutes = ['/', '/records/:id'];
+for (const { pathPrefix } of registrations.additional) {
+  if (pathPrefix) {
+    pageRoutes.push(pathPrefix, `${pathPrefix}/`, `${pathPrefix}/records/:id`);
+  }
+}
+app.get(pageRoutes, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
@@ -251,7 +1193,7 @@ app.use((err, req, res, next) => {
   console.error('Server error:', err);
   res.status(500).json({ 
     error: 'Internal server error',
-    message: process.env.NODE_ENV === 'development' ? err.message : undefined,
+    message: config.NODE_ENV === 'development' ? err.message : undefined,
   });
 });
 
@@ -263,12 +1205,8 @@ app.use((req, res) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔐 Tenant ID: ${process.env.TENANT_ID ? '***configured***' : '⚠️  MISSING'}`);
-  console.log(`🔑 Client ID: ${process.env.CLIENT_ID ? '***configured***' : '⚠️  MISSING'}`);
-  
-  if (!process.env.TENANT_ID || !process.env.CLIENT_ID) {
-    console.warn('\n⚠️  WARNING: Missing required environment variables!');
-    console.warn('Copy .env.example to .env and configure your Azure AD settings.\n');
-  }
+  console.log(`📝 Environment: ${config.NODE_ENV}`);
+  console.log('🔐 Tenant ID: ***configured***');
+  console.log('🔑 Client ID: ***configured***');
+  console.log(`🗂️  App registrations: ${registrations.all.map(registration => registration.name).join(', ')}`);
 });
@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, mockAccessToken, mockSession } = require('./mock-server');
+
+// CSRF protection for cookie-authenticated, state-changing requests (lib/csrf.js)
+
+let server;
+
+before(async () => {
+  server = await startMockServer();
+});
+
+after(() => server.stop());
+
+function logout({ cookie, origin, csrfToken, authorization }) {
+  return fetch(`${server.baseUrl}/api/web/logout`, {
+    method: 'POST',
+    headers: {
+      Cookie: cookie,
+      ...(origin ? { Origin: origin } : {}),
+      ...(csrfToken ? { 'X-CSRF-Token': csrfToken } : {}),
+      ...(authorization ? { Authorization: authorization } : {}),
+    },
+  });
+}
+
+test('a cross-origin POST with the session cookie is refused', async () => {
+  const { cookie, csrfToken } = await mockSession(server.baseUrl);
+
+  const response = await logout({ cookie, csrfToken, origin: 'https://evil.example' });
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).code, 'csrf_origin_mismatch');
+});
+
+test('a same-origin POST without the CSRF token is refused', async () => {
+  const { cookie } = await mockSession(server.baseUrl);
+
+  const missing = await logout({ cookie, origin: server.baseUrl });
+  assert.equal(missing.status, 403);
+  assert.equal((await missing.json()).code, 'csrf_token_missing');
+
+  const wrong = await logout({ cookie, origin: server.baseUrl, csrfToken: 'not-the-token' });
+  assert.equal(wrong.status, 403);
+  assert.equal((await wrong.json()).code, 'csrf_token_invalid');
+});
+
+test('a same-origin POST with the CSRF token is accepted', async () => {
+  const { cookie, csrfToken } = await mockSession(server.baseUrl);
+
+  const response = await logout({ cookie, csrfToken, origin: server.baseUrl });
+  assert.equal(response.status, 200);
+});
+
+test('bearer-token requests need no CSRF token', async () => {
+  const response = await fetch(`${server.baseUrl}/api/native/create-session-token`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await mockAccessToken(server.baseUrl)}`, Origin: 'https://evil.example' },
+  });
+  assert.equal(response.status, 200);
+});
+
+test('the form_post launch accepts a null Origin but not another site', async () => {
+  const launch = async (origin) => {
+    const tokenResponse = await fetch(`${server.baseUrl}/api/native/create-session-token`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${await mockAccessToken(server.baseUrl)}` },
+    });
+    return fetch(`${server.baseUrl}/api/web/launch`, {
+      method: 'POST',
+      redirect: 'manual',
+      headers: { Origin: origin },
+      body: new URLSearchParams({ session_token: (await tokenResponse.json()).session_token }),
+    });
+  };
+
+  assert.equal((await launch('null')).status, 303);
+  const crossSite = await launch('https://evil.example');
+  assert.equal(crossSite.status, 403);
+  assert.equal((await crossSite.json()).code, 'csrf_origin_mismatch');
+});
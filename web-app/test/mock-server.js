@@ -0,0 +1,95 @@
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+
+// server.js in mock mode (MOCK_IDP=true) for the end-to-end tests, on a free port
+// with only the given settings - nothing from the developer's environment or .env
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves { baseUrl, stop() } once the server is listening
+async function startMockServer(env = {}) {
+  const port = await freePort();
+  const child = await new Promise((resolve, reject) => {
+    const server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: {
+        PATH: process.env.PATH,
+        PORT: String(port),
+        MOCK_IDP: 'true',
+        SESSION_SECRET: 'test-session-secret',
+        AUDIT_HASH_KEY: 'test-audit-hash-key',
+        ...env,
+      },
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let output = '';
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        resolve(server);
+      }
+    };
+    server.stdout.on('data', onData);
+    server.stderr.on('data', onData);
+    server.once('exit', code => reject(new Error(`server exited with ${code}:\n${output}`)));
+  });
+
+  return {
+    baseUrl: `http://localhost:${port}`,
+    stop() {
+      child.removeAllListeners('exit');
+      child.kill();
+    },
+  };
+}
+
+// Access token from the mock IdP's password grant
+async function mockAccessToken(baseUrl, { username = 'alex.admin@contoso.test', clientId = 'mock-client-id', audience = 'mock-client-id' } = {}) {
+  const response = await fetch(`${baseUrl}/mock-idp/mock-tenant/oauth2/v2.0/token`, {
+    method: 'POST',
+    body: new URLSearchParams({
+      grant_type: 'password',
+      username,
+      client_id: clientId,
+      scope: `api://${audience}/access_as_user`,
+    }),
+  });
+  assert.equal(response.status, 200);
+  return (await response.json()).access_token;
+}
+
+// Native handoff for a mock user - resolves the session cookie ("name=value") and CSRF token
+async function mockSession(baseUrl, options = {}) {
+  const tokenResponse = await fetch(`${baseUrl}/api/native/create-session-token`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await mockAccessToken(baseUrl, options)}` },
+  });
+  assert.equal(tokenResponse.status, 200);
+
+  const response = await fetch(`${baseUrl}/api/web/initialize-session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Origin: baseUrl },
+    body: JSON.stringify({ sessionToken: (await tokenResponse.json()).session_token }),
+  });
+  assert.equal(response.status, 200);
+  return {
+    cookie: response.headers.get('set-cookie').split(';')[0],
+    csrfToken: (await response.json()).csrfToken,
+  };
+}
+
+module.exports = {
+  startMockServer,
+  mockAccessToken,
+  mockSession,
+};
@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, mockAccessToken: accessTokenFrom } = require('./mock-server');
+
+// Smoke test of the native-to-web handoff against the mock identity provider:
+// password grant -> /api/native/create-session-token -> /api/web/initialize-session
+// -> cookie session, including Graph through the mock's Graph stub (no network)
+
+let server;
+let baseUrl;
+
+function mockAccessToken(username = 'alex.admin@contoso.test', clientId = 'mock-client-id', audience = 'mock-client-id') {
+  return accessTokenFrom(baseUrl, { username, clientId, audience });
+}
+
+async function createSessionToken(accessToken, basePath = '') {
+  const response = await fetch(`${baseUrl}${basePath}/api/native/create-session-token`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+  assert.equal(response.status, 200);
+  return (await response.json()).session_token;
+}
+
+function initializeSession(sessionToken, basePath = '') {
+  return fetch(`${baseUrl}${basePath}/api/web/initialize-session`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Origin: baseUrl },
+    body: JSON.stringify({ sessionToken }),
+  });
+}
+
+before(async () => {
+  server = await startMockServer({
+    NATIVE_CLIENT_IDS: 'mock-client-id,second-native-app,partner-client-id',
+    // A second registration in the same mock tenant, served below /partner
+    APP_REGISTRATIONS: JSON.stringify([
+      { name: 'partner', pathPrefix: '/partner', tenantId: 'mock-tenant', clientId: 'partner-client-id' },
+    ]),
+  });
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.stop());
+
+test('native app hands its user off to a web session', async () => {
+  const sessionToken = await createSessionToken(await mockAccessToken());
+
+  const response = await initializeSession(sessionToken);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.success, true);
+  assert.equal(body.user.username, 'alex.admin@contoso.test');
+
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+  const profile = await fetch(`${baseUrl}/api/user/profile`, { headers: { Cookie: cookie } });
+  assert.equal(profile.status, 200);
+
+  // The native app's token was kept for on-behalf-of, so Graph works in the web session
+  const me = await fetch(`${baseUrl}/api/graph/me`, { headers: { Cookie: cookie } });
+  assert.equal(me.status, 200);
+  assert.equal((await me.json()).displayName, 'Alex Admin');
+});
+
+test('a session token can only be exchanged once', async () => {
+  const sessionToken = await createSessionToken(await mockAccessToken());
+
+  assert.equal((await initializeSession(sessionToken)).status, 200);
+
+  const replay = await initializeSession(sessionToken);
+  assert.equal(replay.status, 401);
+  assert.equal((await replay.json()).code, 'session_token_reused');
+});
+
+test('bearer callers get Graph data from the mock Graph stub', async () => {
+  const me = await fetch(`${baseUrl}/api/graph/me`, {
+    headers: { Authorization: `Bearer ${await mockAccessToken('riley.reader@contoso.test')}` },
+  });
+  assert.equal(me.status, 200);
+  assert.equal((await me.json()).userPrincipalName, 'riley.reader@contoso.test');
+
+  // Test users have no photo - Graph's 404 is passed on
+  const photo = await fetch(`${baseUrl}/api/graph/photo?size=96x96`, {
+    headers: { Authorization: `Bearer ${await mockAccessToken('riley.reader@contoso.test')}` },
+  });
+  assert.equal(photo.status, 404);
+});
+
+test('native logout ends only the sessions handed off from the calling app', async () => {
+  const sessionFrom = async (clientId) => {
+    const response = await initializeSession(await createSessionToken(await mockAccessToken(undefined, clientId)));
+    assert.equal(response.status, 200);
+    return response.headers.get('set-cookie').split(';')[0];
+  };
+  const hubSession = await sessionFrom('mock-client-id');
+  const otherSession = await sessionFrom('second-native-app');
+
+  const logout = await fetch(`${baseUrl}/api/native/logout`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${await mockAccessToken()}` },
+  });
+  assert.equal(logout.status, 200);
+
+  const profile = cookie => fetch(`${baseUrl}/api/user/profile`, { headers: { Cookie: cookie } });
+  assert.equal((await profile(hubSession)).status, 401);
+  assert.equal((await profile(otherSession)).status, 200);
+});
+
+test('a handoff below a registration\'s path prefix creates a session for that registration', async () => {
+  const accessToken = await mockAccessToken(undefined, 'partner-client-id', 'partner-client-id');
+  const response = await initializeSession(await createSessionToken(accessToken, '/partner'), '/partner');
+  assert.equal(response.status, 200);
+  const cookie = response.headers.get('set-cookie').split(';')[0];
+
+  const partnerProfile = await fetch(`${baseUrl}/partner/api/user/profile`, { headers: { Cookie: cookie } });
+  assert.equal(partnerProfile.status, 200);
+
+  // The session belongs to the partner registration only
+  const defaultProfile = await fetch(`${baseUrl}/api/user/profile`, { headers: { Cookie: cookie } });
+  assert.equal(defaultProfile.status, 401);
+  assert.equal((await defaultProfile.json()).code, 'registration_mismatch');
+});
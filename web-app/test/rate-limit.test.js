@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { startMockServer, mockAccessToken } = require('./mock-server');
+
+// The rate limiter's failure lockout (lib/rate-limit.js): forged bearer tokens
+// count towards it, expired ones do not
+
+const LOCKOUT_FAILURES = 3;
+
+let server;
+
+before(async () => {
+  server = await startMockServer({
+    // Mock tokens expire after a second and no clock skew is allowed
+    MOCK_IDP_TOKEN_LIFETIME_SECONDS: '1',
+    TOKEN_CLOCK_SKEW_SECONDS: '0',
+    RATE_LIMIT_LOCKOUT_FAILURES: String(LOCKOUT_FAILURES),
+  });
+});
+
+after(() => server.stop());
+
+function getData(accessToken) {
+  return fetch(`${server.baseUrl}/api/data`, { headers: { Authorization: `Bearer ${accessToken}` } });
+}
+
+// An authentic token with part of its signature changed
+function forge(accessToken) {
+  const [header, payload, signature] = accessToken.split('.');
+  const middle = Math.floor(signature.length / 2);
+  const swapped = signature[middle] === 'A' ? 'B' : 'A';
+  return [header, payload, `${signature.slice(0, middle)}${swapped}${signature.slice(middle + 1)}`].join('.');
+}
+
+test('expired tokens never lead to a lockout', async () => {
+  const expired = await mockAccessToken(server.baseUrl);
+  await sleep(2100);
+
+  for (let attempt = 0; attempt < LOCKOUT_FAILURES * 2; attempt++) {
+    const response = await getData(expired);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error, 'Token expired');
+  }
+});
+
+test('forged tokens lock the caller out', async () => {
+  const forged = forge(await mockAccessToken(server.baseUrl));
+
+  for (let attempt = 0; attempt < LOCKOUT_FAILURES; attempt++) {
+    const response = await getData(forged);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error, 'Token validation failed');
+  }
+
+  const locked = await getData(forged);
+  assert.equal(locked.status, 429);
+  assert.equal((await locked.json()).code, 'locked_out');
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+  // Until the lockout ends, even a valid token is turned away
+  const valid = await getData(await mockAccessToken(server.baseUrl));
+  assert.equal(valid.status, 429);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { safeReturnPath } = require('../lib/return-path');
+
+// Return paths must never leave the app's origin - the server's safeReturnPath
+// and its copy in public/app.js are held to the same cases
+
+// The browser copy, run against a stand-in window
+function browserSafeReturnPath() {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'app.js'), 'utf8');
+  const match = source.match(/^function safeReturnPath\(value\) \{[\s\S]*?^\}$/m);
+  assert.ok(match, 'safeReturnPath not found in public/app.js');
+  const context = { URL, window: { location: { origin: 'https://app.contoso.test' } } };
+  vm.runInNewContext(match[0], context);
+  return context.safeReturnPath;
+}
+
+const implementations = {
+  server: safeReturnPath,
+  browser: browserSafeReturnPath(),
+};
+
+const rejected = [
+  '//evil.example',
+  '/\\evil.example',
+  '/\t/evil.example',
+  '/\n/evil.example',
+  'https://evil.example/',
+  'javascript:alert(1)',
+  'records/2',
+  '',
+  undefined,
+  `/${'a'.repeat(2048)}`,
+];
+
+for (const [name, check] of Object.entries(implementations)) {
+  test(`${name}: paths that could leave the origin are rejected`, () => {
+    for (const value of rejected) {
+      assert.equal(check(value), null, JSON.stringify(value));
+    }
+  });
+
+  test(`${name}: same-origin paths are kept, normalised`, () => {
+    assert.equal(check('/'), '/');
+    assert.equal(check('/records/2?tab=notes#top'), '/records/2?tab=notes#top');
+    assert.equal(check('/records/../admin'), '/admin');
+  });
+}